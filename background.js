@@ -11,8 +11,32 @@
 * 1.0 | February 16,2025 |         | Initial Version
 * 1.1 | February 18,2025 | Dave Moudy | Updated URL conversion to support dev orgs
 * 1.2 | February 20,2025 | Dave Moudy | Added fetchCustomObjectApiName to retrieve API name for custom objects
+* 1.3 | October 19,2026 |            | Added persistent describe cache with If-Modified-Since revalidation
+* 1.4 | October 19,2026 |            | Added fetchObjectPicklistValues to load every picklist on an object in one request
+* 1.5 | October 19,2026 |            | Added cancellable request batches for multi-object exports
+* 1.6 | October 19,2026 |            | fetchObjectDescribe returns the metadata needed to render Salesforce field types
+* 1.7 | October 19,2026 |            | fetchObjectDescribe returns data-dictionary attributes (required, unique, defaults, help text, access)
+* 1.8 | October 19,2026 |            | API version moved to a constant and reported with describe results
+* 1.9 | October 19,2026 |            | Added schema snapshot storage (save, list, get, delete)
+* 2.0 | October 19,2026 |            | Added listLoggedInOrgs for cross-org comparison
+* 2.1 | October 19,2026 |            | Added fetchRecordTypePicklistValues using the UI API picklist-values endpoint
+* 2.2 | October 19,2026 |            | Describe results keep controllerName and validFor for field dependencies
+* 2.3 | October 19,2026 |            | Added the org-wide field search index, updated whenever a describe changes
+* 2.4 | October 19,2026 |            | Added fetchFieldDependencies (MetadataComponentDependency) and a paging Tooling query helper
+* 2.5 | October 19,2026 |            | Added fetchFieldFillRates: batched, rate-limited COUNT() queries per field
+* 2.6 | October 19,2026 |            | fetchPicklistValues can include per-value record counts (includeUsage)
+* 2.7 | October 19,2026 |            | API version detected per org (or pinned in settings); all calls go through sfFetch
+* 2.8 | October 19,2026 |            | Namespace and suffix aware object/field names; escaped SOQL values
+* 2.9 | October 19,2026 |            | sfFetch classifies failures (session, access, limits, server) and retries transient ones
+* 3.0 | October 19,2026 |            | Export column, file name, feature toggle, button colour and re-init delay settings; getSettings message
+* 3.1 | October 19,2026 |            | Added listObjects: the org's objects from the global describe, with namespace and kind
+* 3.2 | October 19,2026 |            | Added fetchFieldTable: every describe attribute and the CustomField Id of each field
+* 3.3 | October 19,2026 |            | Keyboard shortcut opens the command palette in the active tab
 **/
 
+// Used when an org's supported versions cannot be read and no version is pinned in settings.
+const DEFAULT_API_VERSION = "56.0";
+
 // Helper to convert a Lightning URL into its My Salesforce domain.
 function getMySalesforceDomain(origin) {
   if (origin.includes("lightning.force.com")) {
@@ -37,131 +61,1187 @@ async function getSessionCookie(origin) {
   }
 }
 
-async function fetchPicklistValues({ objectName, fieldApiName, origin, isStandard }) {
-  const sessionId = await getSessionCookie(origin);
-  if (!sessionId) return { success: false, error: "No session cookie found." };
-  const apiOrigin = getMySalesforceDomain(origin);
+// List the orgs the browser holds a session for, as My Salesforce origins. Other requests pass one of
+// these origins to authenticate against that org instead of the current tab's.
+async function listLoggedInOrgs({ origin } = {}) {
+  const cookies = await chrome.cookies.getAll({ name: "sid" });
+  const origins = new Set();
+  cookies
+    .filter(cookie => /\.(salesforce|force|salesforce-setup)\.com$/.test(cookie.domain))
+    .forEach(cookie => origins.add(getMySalesforceDomain(`https://${cookie.domain.replace(/^\./, "")}`)));
+  const currentOrigin = origin ? getMySalesforceDomain(origin) : null;
+  const orgs = [];
+  for (const orgOrigin of origins) {
+    if (!orgOrigin.endsWith(".my.salesforce.com")) continue;
+    // Only keep orgs whose API domain actually has a session.
+    if (await getSessionCookie(orgOrigin)) {
+      orgs.push({ origin: orgOrigin, current: orgOrigin === currentOrigin });
+    }
+  }
+  return { success: true, orgs };
+}
+
+// ---------------------
+// Settings
+// ---------------------
+
+// Stored in chrome.storage.sync under "settings" and edited on the options page. content.js reads them
+// through getSettings and applies changes as soon as they are saved.
+const DEFAULT_SETTINGS = {
+  // Empty means use the latest version the org supports.
+  apiVersion: "",
+  // Columns checked by default in the export dialogs (the Standard preset), and the order of every column
+  // in exports. An empty order keeps the built-in order.
+  exportColumns: ["label", "apiName", "type", "length", "picklistValues"],
+  exportColumnOrder: [],
+  // Base name of field exports; {org}, {object} and {date} are replaced when the file is downloaded.
+  fileNameTemplate: "{object}_fields_export",
+  // Page enhancements switched off on the options page, e.g. "quickFind" or "setupHomeCleanup".
+  disabledFeatures: [],
+  buttonColor: "#0070d2",
+  // Open Fields & Relationships in the enhanced view instead of Salesforce's lazy-loading table.
+  enhancedViewDefault: false,
+  // Delay before the page enhancements are re-applied after Lightning navigation.
+  reinitDelayMs: 500
+};
+
+let settingsCache = null;
+
+async function getSettings() {
+  if (!settingsCache) {
+    const stored = await chrome.storage.sync.get("settings");
+    settingsCache = { ...DEFAULT_SETTINGS, ...(stored.settings || {}) };
+  }
+  return settingsCache;
+}
+
+// Current settings with the defaults, so content.js and the options page can tell what was changed.
+async function getSettingsMessage() {
+  return { success: true, settings: await getSettings(), defaults: DEFAULT_SETTINGS };
+}
+
+// Settings saved on the options page apply to the next request.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.settings) settingsCache = null;
+});
+
+// ---------------------
+// API Version & Requests
+// ---------------------
+
+const API_VERSION_CACHE_PREFIX = "apiVersions:";
+// How long the list of versions an org supports is trusted before it is read again.
+const API_VERSION_CACHE_MS = 24 * 60 * 60 * 1000;
+
+// In-flight version lookups per org.
+const pendingApiVersions = new Map();
+
+// Read the versions an org supports from /services/data/ and cache them per org.
+async function detectApiVersions(apiOrigin) {
+  const key = API_VERSION_CACHE_PREFIX + apiOrigin;
+  const stored = await chrome.storage.local.get(key);
+  if (stored[key] && Date.now() - stored[key].checkedAt < API_VERSION_CACHE_MS) {
+    return stored[key].versions;
+  }
+  const response = await fetch(`${apiOrigin}/services/data/`, { headers: { "Accept": "application/json" } });
+  if (!response.ok) throw new Error(`Version list error: ${response.statusText}`);
+  const versions = (await response.json())
+    .map(v => v.version)
+    .sort((a, b) => parseFloat(a) - parseFloat(b));
+  await chrome.storage.local.set({ [key]: { versions, checkedAt: Date.now() } });
+  return versions;
+}
+
+// The version pinned in settings, else the latest one the org supports, else DEFAULT_API_VERSION.
+async function getApiVersion(apiOrigin) {
+  const { apiVersion } = await getSettings();
+  if (apiVersion) return apiVersion;
+  if (!pendingApiVersions.has(apiOrigin)) {
+    const lookup = detectApiVersions(apiOrigin)
+      .then(versions => versions[versions.length - 1] || DEFAULT_API_VERSION)
+      .catch(error => {
+        console.error("Error detecting API version:", error);
+        return DEFAULT_API_VERSION;
+      })
+      .finally(() => pendingApiVersions.delete(apiOrigin));
+    pendingApiVersions.set(apiOrigin, lookup);
+  }
+  return pendingApiVersions.get(apiOrigin);
+}
+
+// Versions detected for every org seen so far, for the options page.
+async function listApiVersions() {
+  const all = await chrome.storage.local.get(null);
+  const orgs = Object.keys(all)
+    .filter(key => key.startsWith(API_VERSION_CACHE_PREFIX))
+    .map(key => ({ origin: key.slice(API_VERSION_CACHE_PREFIX.length), versions: all[key].versions }));
+  return { success: true, orgs, settings: await getSettings() };
+}
+
+// Retries after the first attempt for transient failures, and the base delay doubled on each retry.
+const API_MAX_RETRIES = 3;
+const API_RETRY_BASE_MS = 500;
+// Error kinds worth retrying: server errors, dropped connections and concurrent request limits. The daily limit
+// ("dailyLimitExceeded") only resets over the next 24 hours, so it is not retried.
+const TRANSIENT_ERROR_KINDS = ["server", "network", "limitExceeded"];
+
+// Errors thrown by sfFetch carry kind ("sessionExpired", "forbidden", "notFound", "limitExceeded",
+// "dailyLimitExceeded", "server", "network" or "other") and the HTTP status, so content.js can tell the user what to do.
+function createApiError(message, kind, status) {
+  const error = new Error(message);
+  error.kind = kind;
+  error.status = status;
+  return error;
+}
+
+async function toApiError(response) {
+  let errors = [];
   try {
-    if (isStandard) {
-      const url = `${apiOrigin}/services/data/v56.0/sobjects/${objectName}/describe`;
+    const body = await response.json();
+    errors = Array.isArray(body) ? body : [body];
+  } catch (error) {
+    // Not every error response has a JSON body.
+  }
+  const codes = errors.map(e => e && e.errorCode);
+  const message = errors.map(e => e && e.message).filter(Boolean).join("; ") || `HTTP ${response.status} ${response.statusText || ""}`.trim();
+  if (response.status === 401 || codes.includes("INVALID_SESSION_ID")) {
+    return createApiError("Your Salesforce session has expired. Log in again.", "sessionExpired", response.status);
+  }
+  if (codes.includes("REQUEST_LIMIT_EXCEEDED")) {
+    // The same code covers the org's rolling 24-hour allowance ("TotalRequests Limit exceeded.") and the
+    // concurrent long-running request limit.
+    if (/TotalRequests/i.test(message)) {
+      return createApiError(
+        "The org has used up its daily API request limit. Requests will work again as usage over the last 24 hours drops; " +
+          "see API Requests, Last 24 Hours in Setup > Company Information.",
+        "dailyLimitExceeded",
+        response.status
+      );
+    }
+    return createApiError(message, "limitExceeded", response.status);
+  }
+  if (response.status === 403) return createApiError(message, "forbidden", response.status);
+  // E.g. describing an object the org does not have.
+  if (response.status === 404 || codes.includes("NOT_FOUND")) return createApiError(message, "notFound", response.status);
+  if (response.status >= 500) return createApiError(message, "server", response.status);
+  return createApiError(message, "other", response.status);
+}
+
+// Wait before retry number attempt (0-based), honouring Retry-After when the server sends it.
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter && !isNaN(retryAfter)) return Number(retryAfter) * 1000;
+  return API_RETRY_BASE_MS * 2 ** attempt + Math.random() * API_RETRY_BASE_MS;
+}
+
+// Shared API client for every REST, Tooling and UI API call. path is relative to /services/data/vXX.X
+// (e.g. "/sobjects/Account/describe"); absolute /services/... paths such as nextRecordsUrl are used as they are.
+// Resolves with the response when it is ok (or 304); otherwise throws an error from createApiError after
+// retrying transient failures with exponential backoff.
+async function sfFetch(apiOrigin, sessionId, path, { method = "GET", headers = {}, body, signal } = {}) {
+  const url = path.startsWith("/services/")
+    ? apiOrigin + path
+    : `${apiOrigin}/services/data/v${await getApiVersion(apiOrigin)}${path}`;
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    let retryAfter = null;
+    try {
       const response = await fetch(url, {
-        method: "GET",
+        method,
         headers: {
           "Content-Type": "application/json",
-          "Authorization": "Bearer " + sessionId
-        }
+          "Authorization": "Bearer " + sessionId,
+          ...headers
+        },
+        body,
+        signal
       });
-      if (!response.ok) throw new Error(`Describe API error: ${response.statusText}`);
-      const data = await response.json();
+      if (response.ok || response.status === 304) return response;
+      error = await toApiError(response);
+      retryAfter = response.headers.get("Retry-After");
+    } catch (fetchError) {
+      if (fetchError.name === "AbortError") throw fetchError;
+      error = createApiError(`Network error: ${fetchError.message}`, "network", 0);
+    }
+    if (!TRANSIENT_ERROR_KINDS.includes(error.kind) || attempt >= API_MAX_RETRIES) throw error;
+    console.warn(`Retrying ${path} after ${error.kind} error (attempt ${attempt + 1} of ${API_MAX_RETRIES}).`);
+    await new Promise(resolve => setTimeout(resolve, getRetryDelay(attempt, retryAfter)));
+  }
+}
+
+// Failure responses sent to content.js. errorKind lets it tell an expired session from other errors.
+function errorResponse(error) {
+  if (error.name === "AbortError") return cancelledResponse();
+  return { success: false, error: error.message, errorKind: error.kind || "other" };
+}
+
+// Response of a request stopped by cancelBatch.
+function cancelledResponse() {
+  return { success: false, error: "Cancelled.", errorKind: "cancelled" };
+}
+
+function noSessionResponse() {
+  return { success: false, error: "No Salesforce session found. Log in again.", errorKind: "sessionExpired" };
+}
+
+// ---------------------
+// API Names
+// ---------------------
+
+// Suffixes of custom objects stored as CustomObject rows in the Tooling API.
+const CUSTOM_OBJECT_SUFFIXES = ["c", "mdt", "e", "b", "x"];
+// How long the global describe (the list of objects) is reused.
+const GLOBAL_DESCRIBE_FRESH_MS = 5 * 60 * 1000;
+
+const globalDescribes = new Map();
+
+// Escape a value for use inside a quoted SOQL string literal.
+function escapeSoql(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+}
+
+// Object and field names are interpolated into SOQL unquoted and into URL paths, so only plain API names are
+// accepted.
+function assertApiName(name) {
+  if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(name)) throw new Error(`Invalid API name: ${name}`);
+  return name;
+}
+
+// Split an API name such as "ns__Invoice__c", "Rate__mdt" or "Account" into namespace, developer name
+// and suffix (null when absent).
+function parseApiName(name) {
+  const parts = name.split("__");
+  const suffix = parts.length > 1 && CUSTOM_OBJECT_SUFFIXES.includes(parts[parts.length - 1].toLowerCase())
+    ? parts.pop().toLowerCase()
+    : null;
+  const namespace = parts.length > 1 ? parts.shift() : null;
+  return { namespace, developerName: parts.join("__"), suffix };
+}
+
+// The org's object list from /sobjects, cached briefly in memory.
+async function getGlobalDescribe(apiOrigin, sessionId) {
+  const cached = globalDescribes.get(apiOrigin);
+  if (cached && Date.now() - cached.loadedAt < GLOBAL_DESCRIBE_FRESH_MS) return cached.sobjects;
+  const response = await sfFetch(apiOrigin, sessionId, "/sobjects/");
+  const { sobjects } = await response.json();
+  globalDescribes.set(apiOrigin, { sobjects, loadedAt: Date.now() });
+  return sobjects;
+}
+
+// Suffixes of objects Salesforce derives from another object, e.g. "AccountShare" or "ns__Invoice__History".
+const DERIVED_OBJECT_SUFFIXES = ["ChangeEvent", "Share", "History", "Feed"];
+
+// Export modal kinds of derived objects, by the associateEntityType of the global describe.
+const ASSOCIATED_OBJECT_KINDS = { ChangeEvent: "event", Share: "share", History: "history", Feed: "feed" };
+
+// Parent of an object named like a derived one ("AccountShare", "OpportunityFieldHistory", "ns__Invoice__History").
+function getDerivedObjectParent(name) {
+  const parts = name.split("__");
+  if (parts.length > 1) {
+    if (!DERIVED_OBJECT_SUFFIXES.includes(parts[parts.length - 1])) return null;
+    parts[parts.length - 1] = "c";
+    return parts.join("__");
+  }
+  const match = name.match(/^(.+?)(ChangeEvent|Share|FieldHistory|History|Feed)$/);
+  return match ? match[1] : null;
+}
+
+// Kind of object for the export modal filters: "mdt", "event", "share", "history", "feed", "custom" or "standard".
+// names holds every object API name in the org, to check the parent of objects named like derived ones.
+function getObjectKind(sobject, names) {
+  const { name } = sobject;
+  const { suffix } = parseApiName(name);
+  if (suffix === "mdt") return "mdt";
+  // Platform events cannot be queried; standard objects named like events (Event, LoginEvent) can.
+  if (suffix === "e" || (name.endsWith("Event") && !sobject.queryable)) return "event";
+  if (sobject.associateEntityType !== undefined) {
+    if (ASSOCIATED_OBJECT_KINDS[sobject.associateEntityType]) return ASSOCIATED_OBJECT_KINDS[sobject.associateEntityType];
+  } else if (names.has(getDerivedObjectParent(name))) {
+    // API versions without associateEntityType: trust the suffix only when the parent exists, so LoginHistory
+    // (there is no Login object) stays a standard object.
+    if (name.endsWith("Share")) return "share";
+    if (name.endsWith("History")) return "history";
+    if (name.endsWith("Feed")) return "feed";
+  }
+  return sobject.custom ? "custom" : "standard";
+}
+
+// Namespace of an object, looking through the Share/History/Feed/ChangeEvent suffix of derived objects.
+function getObjectNamespace(name) {
+  const parts = name.split("__");
+  if (parts.length > 1 && DERIVED_OBJECT_SUFFIXES.includes(parts[parts.length - 1])) parts[parts.length - 1] = "c";
+  return parseApiName(parts.join("__")).namespace;
+}
+
+// Every object in the org in one call, for the export modal.
+async function listObjects({ origin }) {
+  const sessionId = await getSessionCookie(origin);
+  if (!sessionId) return noSessionResponse();
+  const sobjects = await getGlobalDescribe(getMySalesforceDomain(origin), sessionId);
+  const names = new Set(sobjects.map(sobject => sobject.name));
+  const objects = sobjects
+    .filter(sobject => !sobject.deprecatedAndHidden)
+    .map(sobject => ({
+      objectApiName: sobject.name,
+      objectLabel: sobject.label,
+      custom: sobject.custom,
+      queryable: sobject.queryable,
+      createable: sobject.createable,
+      keyPrefix: sobject.keyPrefix,
+      layoutable: sobject.layoutable,
+      namespace: getObjectNamespace(sobject.name),
+      kind: getObjectKind(sobject, names)
+    }));
+  return { success: true, objects };
+}
+
+// TableEnumOrId of an object's CustomField rows: the object name for standard objects and the
+// CustomObject Id for custom objects, custom metadata types, platform events, big and external objects.
+async function getTableEnumOrId(apiOrigin, sessionId, objectName, signal) {
+  const { namespace, developerName, suffix } = parseApiName(objectName);
+  if (!suffix) return objectName;
+  const records = await runToolingQuery(apiOrigin, sessionId,
+    `SELECT Id FROM CustomObject WHERE DeveloperName = '${escapeSoql(developerName)}'` +
+    (namespace ? ` AND NamespacePrefix = '${escapeSoql(namespace)}'` : " AND NamespacePrefix = null"), signal);
+  if (records.length === 0) throw new Error(`Custom object ${objectName} not found.`);
+  return records[0].Id;
+}
+
+// ---------------------
+// Describe Cache
+// ---------------------
+
+// Bump when the shape of cached entries changes; entries from other versions are discarded.
+const DESCRIBE_CACHE_VERSION = 1;
+const DESCRIBE_CACHE_PREFIX = "describeCache:";
+// Entries revalidated within this window are served without a conditional request.
+const DESCRIBE_CACHE_FRESH_MS = 60 * 1000;
+
+// In-flight describe requests, so concurrent callers for the same object share one request.
+const pendingDescribes = new Map();
+
+function getDescribeCacheKey(apiOrigin, objectName) {
+  return `${DESCRIBE_CACHE_PREFIX}v${DESCRIBE_CACHE_VERSION}:${apiOrigin}:${objectName.toLowerCase()}`;
+}
+
+// Return the raw describe payload for an object, using chrome.storage.local as a persistent cache
+// keyed by org and object. Cached entries are revalidated with If-Modified-Since.
+// The shared request is not tied to any caller's signal: an aborted caller stops waiting, the others don't.
+function getObjectDescribeData(apiOrigin, sessionId, objectName, signal) {
+  const key = getDescribeCacheKey(apiOrigin, objectName);
+  if (!pendingDescribes.has(key)) {
+    const request = loadObjectDescribe(key, apiOrigin, sessionId, objectName)
+      .finally(() => pendingDescribes.delete(key));
+    pendingDescribes.set(key, request);
+  }
+  return raceAbortSignal(pendingDescribes.get(key), signal);
+}
+
+// Settle like promise, or reject with an AbortError as soon as signal aborts.
+function raceAbortSignal(promise, signal) {
+  if (!signal) return promise;
+  const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+  if (signal.aborted) return Promise.reject(abortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+async function loadObjectDescribe(key, apiOrigin, sessionId, objectName) {
+  assertApiName(objectName);
+  const stored = await chrome.storage.local.get(key);
+  const apiVersion = await getApiVersion(apiOrigin);
+  // A describe fetched with another API version may lack newer attributes, so it is not reused.
+  const entry = stored[key] && stored[key].apiVersion === apiVersion ? stored[key] : null;
+  if (entry && Date.now() - entry.validatedAt < DESCRIBE_CACHE_FRESH_MS) {
+    return entry.describe;
+  }
+  const headers = {};
+  if (entry) headers["If-Modified-Since"] = entry.lastModified;
+  const response = await sfFetch(apiOrigin, sessionId, `/sobjects/${objectName}/describe`, { headers });
+  if (response.status === 304 && entry) {
+    entry.validatedAt = Date.now();
+    await chrome.storage.local.set({ [key]: entry });
+    return entry.describe;
+  }
+  const describe = await response.json();
+  await chrome.storage.local.set({
+    [key]: {
+      lastModified: response.headers.get("Last-Modified") || response.headers.get("Date") || new Date().toUTCString(),
+      validatedAt: Date.now(),
+      apiVersion,
+      describe
+    }
+  });
+  // The metadata changed (or was never seen): keep the org's field search index in step. A running build
+  // stores the describe itself.
+  if (!fieldIndexBuilds.has(apiOrigin)) {
+    updateFieldIndexEntry(apiOrigin, describe).catch(error => console.error("Error updating field index:", error));
+  }
+  return describe;
+}
+
+// Remove cached describes, either for one org or for every org.
+async function clearDescribeCache({ origin } = {}) {
+  const all = await chrome.storage.local.get(null);
+  const orgPrefix = origin ? `:${getMySalesforceDomain(origin)}:` : null;
+  const keys = Object.keys(all).filter(key =>
+    key.startsWith(DESCRIBE_CACHE_PREFIX) && (!orgPrefix || key.includes(orgPrefix))
+  );
+  pendingDescribes.clear();
+  await chrome.storage.local.remove(keys);
+  return { success: true, removed: keys.length };
+}
+
+// Drop entries written by other cache versions.
+async function pruneDescribeCache() {
+  const all = await chrome.storage.local.get(null);
+  const currentPrefix = `${DESCRIBE_CACHE_PREFIX}v${DESCRIBE_CACHE_VERSION}:`;
+  const stale = Object.keys(all).filter(key => key.startsWith(DESCRIBE_CACHE_PREFIX) && !key.startsWith(currentPrefix));
+  if (stale.length) await chrome.storage.local.remove(stale);
+}
+
+// ---------------------
+// Field Search Index
+// ---------------------
+
+// One index per org for the home-page field search. "fieldIndex:{org}" holds the build state and the names of
+// the indexed objects; each object's { label, fields } is stored under "fieldIndex:{org}:{object}", so an object
+// is only written when its fields change.
+const FIELD_INDEX_PREFIX = "fieldIndex:";
+const FIELD_INDEX_CONCURRENCY = 4;
+// A complete index younger than this is not refreshed unless forced. A refresh revalidates every object through
+// the describe cache, where unchanged objects are answered with a 304.
+const FIELD_INDEX_REFRESH_MS = 60 * 60 * 1000;
+
+// In-flight builds per org.
+const fieldIndexBuilds = new Map();
+
+function getFieldIndexObjectKey(apiOrigin, objectName) {
+  return `${FIELD_INDEX_PREFIX}${apiOrigin}:${objectName}`;
+}
+
+function toFieldIndexEntry(describe) {
+  return {
+    label: describe.label,
+    fields: describe.fields.map(field => ({
+      label: field.label,
+      name: field.name,
+      type: field.type,
+      referenceTo: field.referenceTo || [],
+      masterDetail: field.relationshipOrder !== null && field.relationshipOrder !== undefined,
+      custom: field.custom,
+      picklist: (field.picklistValues || []).map(v => v.label?.toLowerCase() || "").join(", ")
+    }))
+  };
+}
+
+// Keep an indexed object in step after its describe changed. Objects outside the org's index are skipped.
+async function updateFieldIndexEntry(apiOrigin, describe) {
+  const metaKey = FIELD_INDEX_PREFIX + apiOrigin;
+  const { [metaKey]: meta } = await chrome.storage.local.get(metaKey);
+  if (!meta || !meta.names.includes(describe.name)) return;
+  await chrome.storage.local.set({ [getFieldIndexObjectKey(apiOrigin, describe.name)]: toFieldIndexEntry(describe) });
+}
+
+async function getFieldIndex({ origin }) {
+  const apiOrigin = getMySalesforceDomain(origin);
+  const metaKey = FIELD_INDEX_PREFIX + apiOrigin;
+  const { [metaKey]: meta } = await chrome.storage.local.get(metaKey);
+  let index = null;
+  if (meta) {
+    const stored = await chrome.storage.local.get(meta.names.map(name => getFieldIndexObjectKey(apiOrigin, name)));
+    const objects = {};
+    meta.names.forEach(name => {
+      const entry = stored[getFieldIndexObjectKey(apiOrigin, name)];
+      if (entry) objects[name] = { label: entry.label, fields: entry.fields };
+    });
+    index = { objects, total: meta.names.length, complete: meta.complete, builtAt: meta.builtAt };
+  }
+  return { success: true, index, building: fieldIndexBuilds.has(apiOrigin) };
+}
+
+// Describe the org's objects and store the fields of those that are new or changed. With force the index is
+// refreshed even when it is younger than FIELD_INDEX_REFRESH_MS.
+async function buildFieldIndex({ origin, force = false }) {
+  const apiOrigin = getMySalesforceDomain(origin);
+  if (!fieldIndexBuilds.has(apiOrigin)) {
+    const build = runFieldIndexBuild(origin, apiOrigin, force).finally(() => fieldIndexBuilds.delete(apiOrigin));
+    fieldIndexBuilds.set(apiOrigin, build);
+  }
+  return fieldIndexBuilds.get(apiOrigin);
+}
+
+async function runFieldIndexBuild(origin, apiOrigin, force) {
+  const sessionId = await getSessionCookie(origin);
+  if (!sessionId) return noSessionResponse();
+  const metaKey = FIELD_INDEX_PREFIX + apiOrigin;
+  const { [metaKey]: meta } = await chrome.storage.local.get(metaKey);
+  if (!force && meta && meta.complete && Date.now() - meta.builtAt < FIELD_INDEX_REFRESH_MS) {
+    return { success: true, refreshed: false };
+  }
+  try {
+    const sobjects = await getGlobalDescribe(apiOrigin, sessionId);
+    // Roughly the objects Object Manager lists.
+    const listed = sobjects.filter(s => s.layoutable && !s.deprecatedAndHidden);
+    const names = listed.map(s => s.name);
+    const removed = meta ? meta.names.filter(name => !names.includes(name)) : [];
+    if (removed.length) await chrome.storage.local.remove(removed.map(name => getFieldIndexObjectKey(apiOrigin, name)));
+    await chrome.storage.local.set({ [metaKey]: { names, complete: false, builtAt: meta ? meta.builtAt : null } });
+
+    const stored = await chrome.storage.local.get(names.map(name => getFieldIndexObjectKey(apiOrigin, name)));
+    const failures = [];
+    let updated = 0;
+    await runWithConcurrency(names, FIELD_INDEX_CONCURRENCY, async name => {
+      const key = getFieldIndexObjectKey(apiOrigin, name);
+      try {
+        const entry = toFieldIndexEntry(await getObjectDescribeData(apiOrigin, sessionId, name));
+        if (stored[key] && JSON.stringify(stored[key]) === JSON.stringify(entry)) return;
+        await chrome.storage.local.set({ [key]: entry });
+        updated++;
+      } catch (error) {
+        failures.push(name);
+      }
+    });
+    await chrome.storage.local.set({ [metaKey]: { names, complete: true, builtAt: Date.now() } });
+    if (failures.length) console.warn(`Field index skipped ${failures.length} objects:`, failures);
+    return { success: true, refreshed: true, indexed: names.length - failures.length, updated, failed: failures };
+  } catch (error) {
+    console.error("Error building field index:", error);
+    return errorResponse(error);
+  }
+}
+
+// ---------------------
+// Request Batches
+// ---------------------
+
+// AbortControllers of in-flight requests, grouped by the batch id sent from content.js, and the cancelled batch
+// ids, so requests an export loader starts after Cancel are aborted right away.
+const activeBatches = new Map();
+const cancelledBatches = new Set();
+
+function startBatchRequest(batchId) {
+  if (!batchId) return null;
+  const controller = new AbortController();
+  if (cancelledBatches.has(batchId)) controller.abort();
+  if (!activeBatches.has(batchId)) activeBatches.set(batchId, new Set());
+  activeBatches.get(batchId).add(controller);
+  return controller;
+}
+
+function endBatchRequest(batchId, controller) {
+  const controllers = activeBatches.get(batchId);
+  if (!controllers) return;
+  controllers.delete(controller);
+  if (controllers.size === 0) activeBatches.delete(batchId);
+}
+
+// Run worker(item) over the items with at most limit calls in flight. Stops taking new items once signal is aborted.
+async function runWithConcurrency(items, limit, worker, signal) {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length && !(signal && signal.aborted)) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+// Abort every in-flight request of a batch.
+function cancelBatch({ batchId }) {
+  const controllers = activeBatches.get(batchId);
+  if (controllers) controllers.forEach(controller => controller.abort());
+  activeBatches.delete(batchId);
+  cancelledBatches.add(batchId);
+  return { success: true };
+}
+
+// Standard value sets not named after the object and field ("CaseStatus") or the field alone ("Industry").
+const STANDARD_VALUE_SET_NAMES = {
+  "Opportunity.StageName": "OpportunityStage"
+};
+
+// Every value of a standard picklist, inactive ones included, from its StandardValueSet metadata.
+// Returns null when no value set matches the field.
+async function getStandardValueSetValues(apiOrigin, sessionId, objectName, fieldName, signal) {
+  const candidates = [STANDARD_VALUE_SET_NAMES[`${objectName}.${fieldName}`], `${objectName}${fieldName}`, fieldName]
+    .filter(Boolean);
+  const query = "SELECT Id, MasterLabel FROM StandardValueSet WHERE MasterLabel IN (" +
+    candidates.map(name => `'${escapeSoql(name)}'`).join(", ") + ")";
+  const response = await sfFetch(apiOrigin, sessionId, `/tooling/query/?q=${encodeURIComponent(query)}`, { signal });
+  const { records = [] } = await response.json();
+  const match = candidates.map(name => records.find(record => record.MasterLabel === name)).find(Boolean);
+  if (!match) return null;
+  // Metadata can only be queried one record at a time.
+  const metadataQuery = `SELECT Metadata FROM StandardValueSet WHERE Id = '${escapeSoql(match.Id)}'`;
+  const metadataResponse = await sfFetch(apiOrigin, sessionId, `/tooling/query/?q=${encodeURIComponent(metadataQuery)}`, { signal });
+  const values = (await metadataResponse.json()).records?.[0]?.Metadata?.standardValue;
+  return values ? values.map(v => ({ label: v.label, value: v.fullName, active: v.isActive !== false })) : null;
+}
+
+// Every value of a global value set ("Regions" or "ns__Regions"), inactive ones included.
+async function getGlobalValueSetValues(apiOrigin, sessionId, valueSetName, signal) {
+  const { namespace, developerName } = parseApiName(valueSetName);
+  const query = `SELECT Metadata FROM GlobalValueSet WHERE DeveloperName = '${escapeSoql(developerName)}'` +
+    (namespace ? ` AND NamespacePrefix = '${escapeSoql(namespace)}'` : " AND NamespacePrefix = null");
+  const response = await sfFetch(apiOrigin, sessionId, `/tooling/query/?q=${encodeURIComponent(query)}`, { signal });
+  const values = (await response.json()).records?.[0]?.Metadata?.customValue;
+  return values ? values.map(v => ({ label: v.label, value: v.fullName, active: v.isActive !== false })) : null;
+}
+
+// With includeUsage, data also carries usage (each value with its record count) and blankCount.
+async function fetchPicklistValues({ objectName, fieldApiName, origin, isStandard, includeUsage, batchId }) {
+  const sessionId = await getSessionCookie(origin);
+  if (!sessionId) return noSessionResponse();
+  const apiOrigin = getMySalesforceDomain(origin);
+  const controller = startBatchRequest(batchId);
+  const signal = controller?.signal;
+  try {
+    let values;
+    // Whether values include the inactive ones; the describe only lists active values.
+    let complete = true;
+    if (isStandard) {
+      const data = await getObjectDescribeData(apiOrigin, sessionId, objectName, signal);
       const field = data.fields.find(f => f.name.toLowerCase() === fieldApiName.toLowerCase());
-      const picklistText = field?.picklistValues?.map(v => v.label?.toLowerCase() || "").join(", ") || "";
-      return { success: true, data: { picklistText } };
-    } else {
-      const queryFieldName = fieldApiName.replace(/__c$/, "");
-      const query = `SELECT Metadata FROM CustomField WHERE DeveloperName = '${queryFieldName}' AND TableEnumOrId = '${objectName}'`;
-      const url = `${apiOrigin}/services/data/v56.0/tooling/query/?q=${encodeURIComponent(query)}`;
-      const response = await fetch(url, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": "Bearer " + sessionId
+      values = (field?.picklistValues || []).map(v => ({ label: v.label, value: v.value, active: v.active }));
+      if (includeUsage && field) {
+        const standardValues = await getStandardValueSetValues(apiOrigin, sessionId, objectName, field.name, signal);
+        if (standardValues) {
+          values = standardValues;
+        } else {
+          complete = false;
         }
-      });
-      if (!response.ok) throw new Error(`Tooling API error: ${response.statusText}`);
+      }
+    } else {
+      const { namespace, developerName } = parseApiName(fieldApiName);
+      const tableEnumOrId = await getTableEnumOrId(apiOrigin, sessionId, objectName, signal);
+      const query = `SELECT Metadata FROM CustomField WHERE DeveloperName = '${escapeSoql(developerName)}'` +
+        (namespace ? ` AND NamespacePrefix = '${escapeSoql(namespace)}'` : " AND NamespacePrefix = null") +
+        ` AND TableEnumOrId = '${escapeSoql(tableEnumOrId)}'`;
+      const response = await sfFetch(apiOrigin, sessionId, `/tooling/query/?q=${encodeURIComponent(query)}`, { signal });
       const data = await response.json();
-      const values = data.records?.[0]?.Metadata?.valueSet?.valueSetDefinition?.value || [];
-      const picklistText = values.map(v => v.label?.toLowerCase() || "").join(", ");
-      return { success: true, data: { picklistText } };
+      const valueSet = data.records?.[0]?.Metadata?.valueSet;
+      // Fields using a global value set only name it; the values live on the set.
+      const globalValues = valueSet?.valueSetName
+        ? await getGlobalValueSetValues(apiOrigin, sessionId, valueSet.valueSetName, signal)
+        : null;
+      if (valueSet?.valueSetName && !globalValues) complete = false;
+      values = globalValues || (valueSet?.valueSetDefinition?.value || [])
+        .map(v => ({ label: v.label, value: v.fullName, active: v.isActive !== false }));
     }
+    const picklistText = values.map(v => v.label?.toLowerCase() || "").join(", ");
+    if (!includeUsage) return { success: true, data: { picklistText } };
+    const usage = await fetchPicklistUsage(apiOrigin, sessionId, objectName, fieldApiName, values, complete, signal);
+    return { success: true, data: { picklistText, ...usage } };
   } catch (error) {
     console.error("Error fetching picklist values:", error);
-    return { success: false, error: error.message };
+    return errorResponse(error);
+  } finally {
+    endBatchRequest(batchId, controller);
+  }
+}
+
+// Count the records per value of a picklist with a GROUP BY query. knownValues may add inactive values the
+// describe leaves out. Values found in the data but not defined on the field are reported with missing: true, or
+// with unverified: true when knownValues could not include the inactive values.
+async function fetchPicklistUsage(apiOrigin, sessionId, objectName, fieldApiName, knownValues, complete = true, signal) {
+  const data = await getObjectDescribeData(apiOrigin, sessionId, objectName, signal);
+  const field = data.fields.find(f => f.name.toLowerCase() === fieldApiName.toLowerCase());
+  if (!field) throw new Error(`Field ${fieldApiName} not found on ${objectName}.`);
+  assertApiName(objectName);
+  if (!field.groupable) {
+    return { usage: null, usageError: `${field.type} fields cannot be grouped, so values cannot be counted.` };
+  }
+  const values = (field.picklistValues || []).map(v => ({ label: v.label, value: v.value, active: v.active }));
+  knownValues.forEach(v => {
+    if (!values.some(existing => existing.value === v.value)) values.push({ ...v, active: false });
+  });
+  const records = await runQuery(apiOrigin, sessionId,
+    `SELECT ${field.name}, COUNT(Id) recordCount FROM ${objectName} GROUP BY ${field.name}`, "query", signal);
+  const counts = new Map(records.map(record => [record[field.name], record.recordCount]));
+  const usage = values.map(v => ({ ...v, count: counts.get(v.value) || 0 }));
+  counts.forEach((count, value) => {
+    if (value !== null && !values.some(v => v.value === value)) {
+      usage.push(complete
+        ? { label: value, value, active: false, missing: true, count }
+        : { label: value, value, active: false, unverified: true, count });
+    }
+  });
+  return { usage, blankCount: counts.get(null) || 0 };
+}
+
+// Fetch the values of every picklist and multi-select picklist on an object from a single describe.
+// Describe values cover standard, custom and global value set picklists alike.
+async function fetchObjectPicklistValues({ objectName, origin }) {
+  const sessionId = await getSessionCookie(origin);
+  if (!sessionId) return noSessionResponse();
+  const apiOrigin = getMySalesforceDomain(origin);
+  try {
+    const data = await getObjectDescribeData(apiOrigin, sessionId, objectName);
+    const picklists = {};
+    data.fields
+      .filter(field => field.type === "picklist" || field.type === "multipicklist")
+      .forEach(field => {
+        const values = (field.picklistValues || []).map(v => ({ label: v.label, value: v.value, active: v.active }));
+        const controller = field.controllerName && data.fields.find(f => f.name === field.controllerName);
+        picklists[field.name] = {
+          values,
+          picklistText: values.map(v => v.label?.toLowerCase() || "").join(", "),
+          controllerName: field.controllerName || null,
+          controllerLabel: controller ? controller.label : field.controllerName || null
+        };
+      });
+    return { success: true, picklists };
+  } catch (error) {
+    console.error("Error fetching object picklist values:", error);
+    return errorResponse(error);
   }
 }
 
-async function fetchObjectDescribe({ objectApiName, origin }) {
+// Fetch the picklist values available to each active record type of an object through the UI API.
+// picklists maps field API name -> record type name -> [{ label, value }]; record types the UI API rejects are
+// left out and listed in failedRecordTypes as { name, error }.
+// UI API picklist-values requests in flight at a time; objects can have dozens of record types.
+const RECORD_TYPE_CONCURRENCY = 4;
+
+async function fetchRecordTypePicklistValues({ objectName, origin, batchId }) {
   const sessionId = await getSessionCookie(origin);
-  if (!sessionId) return { success: false, error: "No session cookie found." };
+  if (!sessionId) return noSessionResponse();
   const apiOrigin = getMySalesforceDomain(origin);
+  const controller = startBatchRequest(batchId);
+  const signal = controller?.signal;
   try {
-    const url = `${apiOrigin}/services/data/v56.0/sobjects/${objectApiName}/describe`;
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": "Bearer " + sessionId
+    assertApiName(objectName);
+    const data = await getObjectDescribeData(apiOrigin, sessionId, objectName, signal);
+    const recordTypes = (data.recordTypeInfos || [])
+      .filter(rt => rt.active && !rt.master)
+      .map(rt => ({ id: rt.recordTypeId, name: rt.name, developerName: rt.developerName }));
+    const picklists = {};
+    const failedRecordTypes = [];
+    const results = await runWithConcurrency(recordTypes, RECORD_TYPE_CONCURRENCY, async recordType => {
+      try {
+        const response = await sfFetch(apiOrigin, sessionId, `/ui-api/object-info/${objectName}/picklist-values/${encodeURIComponent(recordType.id)}`, { signal });
+        return { recordType, data: await response.json() };
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        failedRecordTypes.push({ name: recordType.name, error: error.message });
+        return null;
       }
+    }, signal);
+    if (signal && signal.aborted) return cancelledResponse();
+    results.filter(Boolean).forEach(({ recordType, data: result }) => {
+      Object.keys(result.picklistFieldValues || {}).forEach(fieldName => {
+        if (!picklists[fieldName]) picklists[fieldName] = {};
+        picklists[fieldName][recordType.name] = result.picklistFieldValues[fieldName].values
+          .map(v => ({ label: v.label, value: v.value }));
+      });
     });
-    if (!response.ok) throw new Error(`Describe API error: ${response.statusText}`);
-    const data = await response.json();
-    const fields = data.fields.map(field => ({
-      fieldLabel: field.label,
-      fieldApiName: field.name,
-      fieldType: field.type,
-      fieldLength: field.length ? field.length : "",
-      picklistValues: field.picklistValues && field.picklistValues.length
-        ? field.picklistValues.map(v => v.label).join(", ")
-        : ""
-    }));
-    return { success: true, fields };
+    if (failedRecordTypes.length) console.warn(`Record type picklist values failed for ${objectName}:`, failedRecordTypes);
+    return { success: true, recordTypes, picklists, failedRecordTypes };
+  } catch (error) {
+    if (error.name !== "AbortError") console.error("Error fetching record type picklist values:", error);
+    return errorResponse(error);
+  } finally {
+    endBatchRequest(batchId, controller);
+  }
+}
+
+async function fetchObjectDescribe({ objectApiName, origin, batchId }) {
+  const sessionId = await getSessionCookie(origin);
+  if (!sessionId) return noSessionResponse();
+  const apiOrigin = getMySalesforceDomain(origin);
+  const controller = startBatchRequest(batchId);
+  try {
+    const data = await getObjectDescribeData(apiOrigin, sessionId, objectApiName, controller?.signal);
+    const fields = data.fields.map(toFieldDescribe);
+    return { success: true, label: data.label, apiVersion: await getApiVersion(apiOrigin), fields };
   } catch (error) {
     console.error("Error fetching object describe:", error);
-    return { success: false, error: error.message };
+    return errorResponse(error);
+  } finally {
+    endBatchRequest(batchId, controller);
   }
 }
 
-// New function to fetch custom object API name using the Tooling API.
-async function fetchCustomObjectApiName(objectId, origin) {
+// Field entry of fetchObjectDescribe results.
+function toFieldDescribe(field) {
+  return {
+    fieldLabel: field.label,
+    fieldApiName: field.name,
+    fieldType: field.type,
+    fieldLength: field.length ? field.length : "",
+    referenceTo: field.referenceTo || [],
+    relationshipOrder: field.relationshipOrder,
+    precision: field.precision,
+    scale: field.scale,
+    digits: field.digits,
+    custom: field.custom,
+    calculated: field.calculated,
+    calculatedFormula: field.calculatedFormula,
+    autoNumber: field.autoNumber,
+    extraTypeInfo: field.extraTypeInfo,
+    htmlFormatted: field.htmlFormatted,
+    nillable: field.nillable,
+    defaultedOnCreate: field.defaultedOnCreate,
+    unique: field.unique,
+    externalId: field.externalId,
+    defaultValue: field.defaultValue,
+    defaultValueFormula: field.defaultValueFormula,
+    inlineHelpText: field.inlineHelpText,
+    relationshipName: field.relationshipName,
+    cascadeDelete: field.cascadeDelete,
+    encrypted: field.encrypted,
+    createable: field.createable,
+    updateable: field.updateable,
+    controllerName: field.controllerName || null,
+    dependentPicklist: field.dependentPicklist,
+    picklistEntries: (field.picklistValues || []).map(v => ({
+      label: v.label,
+      value: v.value,
+      active: v.active,
+      validFor: v.validFor || null
+    })),
+    picklistValues: field.picklistValues && field.picklistValues.length
+      ? field.picklistValues.map(v => v.label).join(", ")
+      : ""
+  };
+}
+
+// Every describe attribute of a field that can be shown in a table cell: scalars as they are and lists of
+// scalars joined. Nested values such as picklistValues are left out.
+function toAttributeValues(field) {
+  const attributes = {};
+  Object.keys(field).forEach(key => {
+    const value = field[key];
+    if (value === null || typeof value !== "object") {
+      attributes[key] = value;
+    } else if (Array.isArray(value) && value.length && value.every(item => typeof item !== "object")) {
+      attributes[key] = value.join(", ");
+    }
+  });
+  return attributes;
+}
+
+// Fields for the enhanced field table: the fetchObjectDescribe entry, every describe attribute and the
+// CustomField Id (used to link custom fields to their detail pages; null for standard fields).
+async function fetchFieldTable({ objectApiName, origin }) {
   const sessionId = await getSessionCookie(origin);
-  if (!sessionId) return { success: false, error: "No session cookie found." };
+  if (!sessionId) return noSessionResponse();
   const apiOrigin = getMySalesforceDomain(origin);
-  const query = `SELECT DeveloperName FROM CustomObject WHERE Id = '${objectId}'`;
-  const url = `${apiOrigin}/services/data/v56.0/tooling/query/?q=${encodeURIComponent(query)}`;
+  const data = await getObjectDescribeData(apiOrigin, sessionId, objectApiName);
+  let fieldIds = {};
   try {
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": "Bearer " + sessionId
+    fieldIds = await getCustomFieldIds(apiOrigin, sessionId, objectApiName);
+  } catch (error) {
+    // Without Tooling API access the table still works; custom fields then link by API name.
+    console.warn(`Could not read CustomField Ids of ${objectApiName}:`, error.message);
+  }
+  const fields = data.fields.map(field => ({
+    ...toFieldDescribe(field),
+    attributes: toAttributeValues(field),
+    fieldId: fieldIds[Object.keys(fieldIds).find(name => name.toLowerCase() === field.name.toLowerCase())] || null
+  }));
+  return { success: true, label: data.label, fields };
+}
+
+// ---------------------
+// Schema Snapshots
+// ---------------------
+
+// The index holds snapshot summaries; each snapshot body is stored under its own key.
+const SNAPSHOT_INDEX_KEY = "snapshotIndex";
+const SNAPSHOT_PREFIX = "snapshot:";
+
+async function getSnapshotIndex() {
+  const stored = await chrome.storage.local.get(SNAPSHOT_INDEX_KEY);
+  return stored[SNAPSHOT_INDEX_KEY] || [];
+}
+
+async function saveSnapshot({ snapshot }) {
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const index = await getSnapshotIndex();
+  index.push({
+    id,
+    name: snapshot.name,
+    org: snapshot.org,
+    createdAt: snapshot.createdAt,
+    objectCount: Object.keys(snapshot.objects).length
+  });
+  await chrome.storage.local.set({ [SNAPSHOT_PREFIX + id]: { ...snapshot, id }, [SNAPSHOT_INDEX_KEY]: index });
+  return { success: true, id };
+}
+
+// Newest first.
+async function listSnapshots() {
+  const index = await getSnapshotIndex();
+  return { success: true, snapshots: index.slice().sort((a, b) => b.createdAt.localeCompare(a.createdAt)) };
+}
+
+async function getSnapshot({ id }) {
+  const stored = await chrome.storage.local.get(SNAPSHOT_PREFIX + id);
+  const snapshot = stored[SNAPSHOT_PREFIX + id];
+  return snapshot ? { success: true, snapshot } : { success: false, error: "Snapshot not found." };
+}
+
+async function deleteSnapshot({ id }) {
+  const index = await getSnapshotIndex();
+  await chrome.storage.local.set({ [SNAPSHOT_INDEX_KEY]: index.filter(entry => entry.id !== id) });
+  await chrome.storage.local.remove(SNAPSHOT_PREFIX + id);
+  return { success: true };
+}
+
+// ---------------------
+// Field Dependencies
+// ---------------------
+
+// Run a SOQL query (or a Tooling API query with endpoint "tooling/query") and follow nextRecordsUrl until
+// every record is loaded.
+async function runQuery(apiOrigin, sessionId, query, endpoint = "query", signal) {
+  let path = `/${endpoint}/?q=${encodeURIComponent(query)}`;
+  const records = [];
+  while (path) {
+    const response = await sfFetch(apiOrigin, sessionId, path, { signal });
+    const data = await response.json();
+    records.push(...data.records);
+    path = data.nextRecordsUrl || null;
+  }
+  return records;
+}
+
+function runToolingQuery(apiOrigin, sessionId, query, signal) {
+  return runQuery(apiOrigin, sessionId, query, "tooling/query", signal);
+}
+
+// CustomField Ids of an object, keyed by field API name.
+async function getCustomFieldIds(apiOrigin, sessionId, objectName, signal) {
+  const tableEnumOrId = await getTableEnumOrId(apiOrigin, sessionId, objectName, signal);
+  const fields = await runToolingQuery(apiOrigin, sessionId,
+    `SELECT Id, DeveloperName, NamespacePrefix FROM CustomField WHERE TableEnumOrId = '${escapeSoql(tableEnumOrId)}'`, signal);
+  const ids = {};
+  fields.forEach(field => {
+    ids[`${field.NamespacePrefix ? field.NamespacePrefix + "__" : ""}${field.DeveloperName}__c`] = field.Id;
+  });
+  return ids;
+}
+
+// Ids per MetadataComponentDependency query, to keep the query URL short.
+const DEPENDENCY_QUERY_CHUNK = 100;
+
+// List the metadata (Apex, flows, layouts, validation rules, reports, ...) referencing custom fields of an
+// object. dependencies maps field API name -> [{ id, name, type }]; standard fields are reported in unsupported
+// because MetadataComponentDependency only tracks custom fields.
+async function fetchFieldDependencies({ objectName, fieldApiNames, origin, batchId }) {
+  const sessionId = await getSessionCookie(origin);
+  if (!sessionId) return noSessionResponse();
+  const apiOrigin = getMySalesforceDomain(origin);
+  const controller = startBatchRequest(batchId);
+  const signal = controller?.signal;
+  try {
+    const ids = await getCustomFieldIds(apiOrigin, sessionId, objectName, signal);
+    const requested = fieldApiNames || Object.keys(ids);
+    const fieldsById = {};
+    const dependencies = {};
+    const unsupported = [];
+    requested.forEach(name => {
+      const key = Object.keys(ids).find(apiName => apiName.toLowerCase() === name.toLowerCase());
+      if (key) {
+        fieldsById[ids[key]] = name;
+        dependencies[name] = [];
+      } else {
+        unsupported.push(name);
       }
     });
-    if (!response.ok) throw new Error(`Tooling API error: ${response.statusText}`);
+    const fieldIds = Object.keys(fieldsById);
+    for (let i = 0; i < fieldIds.length; i += DEPENDENCY_QUERY_CHUNK) {
+      const chunk = fieldIds.slice(i, i + DEPENDENCY_QUERY_CHUNK);
+      const records = await runToolingQuery(apiOrigin, sessionId,
+        "SELECT MetadataComponentId, MetadataComponentName, MetadataComponentNamespace, MetadataComponentType, " +
+        "RefMetadataComponentId FROM MetadataComponentDependency WHERE RefMetadataComponentType = 'CustomField' " +
+        `AND RefMetadataComponentId IN (${chunk.map(id => `'${escapeSoql(id)}'`).join(",")})`, signal);
+      records.forEach(record => {
+        const fieldName = fieldsById[record.RefMetadataComponentId];
+        if (!fieldName) return;
+        dependencies[fieldName].push({
+          id: record.MetadataComponentId,
+          name: record.MetadataComponentNamespace
+            ? `${record.MetadataComponentNamespace}__${record.MetadataComponentName}`
+            : record.MetadataComponentName,
+          type: record.MetadataComponentType
+        });
+      });
+    }
+    return { success: true, dependencies, unsupported };
+  } catch (error) {
+    console.error("Error fetching field dependencies:", error);
+    return errorResponse(error);
+  } finally {
+    endBatchRequest(batchId, controller);
+  }
+}
+
+// ---------------------
+// Field Fill Rates
+// ---------------------
+
+// COUNT() queries per composite batch request (the API maximum), and the pause between batches.
+const FILL_RATE_BATCH_SIZE = 25;
+const FILL_RATE_BATCH_DELAY_MS = 250;
+
+// Count the records of an object and, for every filterable field, the records where the field is not null.
+// fields maps field API name -> { populated, percent } | { measurable: false, reason } | { error }.
+async function fetchFieldFillRates({ objectName, origin, batchId }) {
+  const sessionId = await getSessionCookie(origin);
+  if (!sessionId) return noSessionResponse();
+  const apiOrigin = getMySalesforceDomain(origin);
+  const controller = startBatchRequest(batchId);
+  try {
+    const data = await getObjectDescribeData(apiOrigin, sessionId, objectName, controller?.signal);
+    const fields = {};
+    const measurable = [];
+    data.fields.forEach(field => {
+      if (field.filterable) {
+        measurable.push(field);
+      } else {
+        // Long and rich text areas, encrypted text and compound fields cannot be used in a WHERE clause.
+        fields[field.name] = { measurable: false, reason: `${field.type} fields are not filterable` };
+      }
+    });
+    assertApiName(objectName);
+    const queries = [
+      `SELECT COUNT() FROM ${objectName}`,
+      // A checkbox is never null, so its rate is the share of records where it is checked.
+      ...measurable.map(field => `SELECT COUNT() FROM ${objectName} WHERE ${field.name} ${field.type === "boolean" ? "= true" : "!= null"}`)
+    ];
+    const apiVersion = await getApiVersion(apiOrigin);
+    const results = [];
+    for (let i = 0; i < queries.length; i += FILL_RATE_BATCH_SIZE) {
+      if (i > 0) await new Promise(resolve => setTimeout(resolve, FILL_RATE_BATCH_DELAY_MS));
+      const response = await sfFetch(apiOrigin, sessionId, "/composite/batch", {
+        method: "POST",
+        body: JSON.stringify({
+          batchRequests: queries.slice(i, i + FILL_RATE_BATCH_SIZE).map(query => ({
+            method: "GET",
+            url: `v${apiVersion}/query/?q=${encodeURIComponent(query)}`
+          }))
+        }),
+        signal: controller?.signal
+      });
+      results.push(...(await response.json()).results);
+    }
+    const countOf = result => result.statusCode === 200 ? result.result.totalSize : null;
+    const errorOf = result => Array.isArray(result.result) && result.result[0] ? result.result[0].message : `HTTP ${result.statusCode}`;
+    const total = countOf(results[0]);
+    if (total === null) throw new Error(errorOf(results[0]));
+    measurable.forEach((field, index) => {
+      const result = results[index + 1];
+      const populated = countOf(result);
+      fields[field.name] = populated === null
+        ? { error: errorOf(result) }
+        : { populated, percent: total ? Math.round(populated / total * 1000) / 10 : 0, checked: field.type === "boolean" };
+    });
+    return { success: true, total, fields };
+  } catch (error) {
+    console.error("Error fetching field fill rates:", error);
+    return errorResponse(error);
+  } finally {
+    endBatchRequest(batchId, controller);
+  }
+}
+
+// New function to fetch custom object API name using the Tooling API.
+async function fetchCustomObjectApiName(objectId, origin) {
+  const sessionId = await getSessionCookie(origin);
+  if (!sessionId) return noSessionResponse();
+  const apiOrigin = getMySalesforceDomain(origin);
+  const query = `SELECT DeveloperName, NamespacePrefix FROM CustomObject WHERE Id = '${escapeSoql(objectId)}'`;
+  try {
+    const response = await sfFetch(apiOrigin, sessionId, `/tooling/query/?q=${encodeURIComponent(query)}`);
     const data = await response.json();
     if (data.records && data.records.length > 0) {
-      const developerName = data.records[0].DeveloperName;
-      return { success: true, apiName: developerName + "__c" };
+      const { DeveloperName: developerName, NamespacePrefix: namespace } = data.records[0];
+      const baseName = `${namespace ? namespace + "__" : ""}${developerName}`.toLowerCase();
+      // The suffix (__c, __mdt, __e, __b, __x) is only known from the object list.
+      const sobjects = await getGlobalDescribe(apiOrigin, sessionId);
+      const match = sobjects.find(sobject => {
+        const { suffix } = parseApiName(sobject.name);
+        return suffix && sobject.name.toLowerCase() === `${baseName}__${suffix}`;
+      });
+      return { success: true, apiName: match ? match.name : `${namespace ? namespace + "__" : ""}${developerName}__c` };
     } else {
       return { success: false, error: "No records found" };
     }
   } catch (error) {
-    return { success: false, error: error.message };
+    return errorResponse(error);
   }
 }
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === "clearDescribeCache") {
+    clearDescribeCache(message)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse(errorResponse(error)));
+    return true;
+  }
   if (message.type === "fetchPicklistValues") {
     fetchPicklistValues(message)
       .then(result => sendResponse(result))
-      .catch(error => sendResponse({ success: false, error: error.toString() }));
+      .catch(error => sendResponse(errorResponse(error)));
+    return true;
+  }
+  if (message.type === "fetchObjectPicklistValues") {
+    fetchObjectPicklistValues(message)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse(errorResponse(error)));
     return true;
   }
+  // Handlers that take the message as their only argument.
+  const messageHandlers = { saveSnapshot, listSnapshots, getSnapshot, deleteSnapshot, listLoggedInOrgs, fetchRecordTypePicklistValues,
+    getFieldIndex, buildFieldIndex, fetchFieldDependencies, fetchFieldFillRates, listApiVersions,
+    getSettings: getSettingsMessage, listObjects, fetchFieldTable };
+  if (messageHandlers[message.type]) {
+    messageHandlers[message.type](message)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse(errorResponse(error)));
+    return true;
+  }
+  if (message.type === "cancelBatch") {
+    sendResponse(cancelBatch(message));
+    return;
+  }
   if (message.type === "fetchObjectDescribe") {
     fetchObjectDescribe(message)
       .then(result => sendResponse(result))
-      .catch(error => sendResponse({ success: false, error: error.toString() }));
+      .catch(error => sendResponse(errorResponse(error)));
     return true;
   }
   if (message.type === "fetchCustomObjectApiName") {
     fetchCustomObjectApiName(message.objectId, message.origin)
       .then(result => sendResponse(result))
-      .catch(error => sendResponse({ success: false, error: error.toString() }));
+      .catch(error => sendResponse(errorResponse(error)));
     return true;
   }
 });
 
+chrome.runtime.onInstalled.addListener(() => {
+  pruneDescribeCache().catch(error => console.error("Error pruning describe cache:", error));
+});
+
 // Forward navigation events detected by the webNavigation API.
 chrome.webNavigation.onHistoryStateUpdated.addListener(details => {
   if (details.frameId === 0 && details.url.includes("/lightning/setup/")) {
     chrome.tabs.sendMessage(details.tabId, { type: "location-changed" });
   }
 });
+
+// Keyboard shortcut from manifest.json "commands".
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === "open-command-palette" && tab) {
+    // Tabs without the content script (pages outside Setup) reject the message.
+    chrome.tabs.sendMessage(tab.id, { type: "openCommandPalette" }).catch(() => {});
+  }
+});
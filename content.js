@@ -16,6 +16,30 @@
 * 1.2 | February 20,2025 | Dave Moudy | Implemented fetching of custom object API name using Tooling API
 * 1.3 | February 17,2025 | Dave Moudy | Added mapping for field types to Salesforce-style terms and updated export functions
 * 1.4 | February 17,2025 | Dave Moudy | Adjusted inline export XLSX button position and added spinner for opening the export modal
+* 1.5 | October 19,2026 |            | Added Quick Find query syntax (qualifiers, negation, phrases, regex) with relevance ranking
+* 1.6 | October 19,2026 |            | Added Clear Cache button for the background describe cache
+* 1.7 | October 19,2026 |            | Load picklist values for all rows with one request per object
+* 1.8 | October 19,2026 |            | Parallel, cancellable multi-object export with a progress panel and partial download
+* 1.9 | October 19,2026 |            | Field types in exports are built from full describe metadata; detail export uses the describe
+* 2.0 | October 19,2026 |            | Data-dictionary export columns with business/admin presets, selectable per export
+* 2.1 | October 19,2026 |            | CSV, JSON and Markdown export formats built on a common field model
+* 2.2 | October 19,2026 |            | Workbook index sheet with hyperlinks and metadata; bold frozen headers, autofilter and column widths
+* 2.3 | October 19,2026 |            | Schema snapshots with diff overlay and XLSX change report
+* 2.4 | October 19,2026 |            | Cross-org schema comparison using the sessions of two logged-in orgs
+* 2.5 | October 19,2026 |            | Record-type picklist values in tooltips, Quick Find (rt:) and an export matrix sheet
+* 2.6 | October 19,2026 |            | Controlling/dependent picklist matrix export; tooltip names the controlling field
+* 2.7 | October 19,2026 |            | Org-wide field search on the Object Manager home page
+* 2.8 | October 19,2026 |            | "Where used?" row action with a dependency side panel; Referenced By export column
+* 2.9 | October 19,2026 |            | "Analyze usage" fill-rate mode on the detail page and a % Populated export column
+* 3.0 | October 19,2026 |            | Picklist value usage counts: "Value usage" row action and an export table
+* 3.1 | October 19,2026 |            | Entity-relationship diagram of the selected objects with SVG/PNG export
+* 3.2 | October 19,2026 |            | Only CustomObject Ids (01I) in Object Manager URLs are resolved to API names
+* 3.3 | October 19,2026 |            | Non-blocking error panel (re-login advice) and retry of only the failed objects
+* 3.4 | October 19,2026 |            | Options page settings: default columns and order, file name template, feature toggles, button colour, re-init delay
+* 3.5 | October 19,2026 |            | Export modal lists objects from the global describe, with custom-only, namespace and kind filters
+* 3.6 | October 19,2026 |            | Optional enhanced field table built from describe data: sortable, column chooser, group by type
+* 3.7 | October 19,2026 |            | Keyboard command palette: fuzzy search of objects and indexed fields, jump to setup pages or export
+* 3.8 | October 19,2026 |            | Quick Find highlights matches, shows matched picklist values in a chip and a result counter
 **/
 
 // ---------------------
@@ -42,6 +66,11 @@ function waitForElement(selector, timeout = 10000) {
   });
 }
 
+// Send a message to the background worker and resolve with its response.
+function sendBackgroundMessage(message) {
+  return new Promise(resolve => chrome.runtime.sendMessage(message, resolve));
+}
+
 // Find the closest scrollable parent of an element (used for autoscroll).
 function findScrollableParent(el) {
   let parent = el.parentElement;
@@ -78,12 +107,17 @@ function autoScrollAndWait(container) {
 
 // Extract the object API name from the URL for detail pages.
 // If the extracted identifier is a Salesforce ID, fetch the API name via the Tooling API.
+// Object Manager URLs carry the CustomObject Id (key prefix 01I) for custom objects. Other 15-18 character
+// identifiers, such as AccountContactRole, are API names.
+function isCustomObjectId(identifier) {
+  return /^01I[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?$/.test(identifier);
+}
+
 async function getObjectApiNameFromURL() {
   const match = window.location.pathname.match(/(?:ObjectManager\/|\/sObject\/)([^\/]+)/);
   let identifier = match && match[1] ? decodeURIComponent(match[1]) : null;
   if (!identifier) return null;
-  // If identifier is a Salesforce ID (15 or 18 alphanumeric characters)
-  if (/^[a-zA-Z0-9]{15,18}$/.test(identifier)) {
+  if (isCustomObjectId(identifier)) {
     const response = await new Promise(resolve => {
       chrome.runtime.sendMessage({ type: "fetchCustomObjectApiName", objectId: identifier, origin: window.location.origin }, resolve);
     });
@@ -108,6 +142,62 @@ function isObjectManagerHomePage() {
   return window.location.pathname.includes("/ObjectManager/home");
 }
 
+// ---------------------
+// Settings
+// ---------------------
+
+// Settings from the options page (see DEFAULT_SETTINGS in background.js), loaded before the page is
+// initialized and replaced whenever they are saved.
+let extensionSettings = {};
+let defaultExtensionSettings = {};
+
+async function loadSettings() {
+  const response = await sendBackgroundMessage({ type: "getSettings" });
+  if (response && response.success) {
+    extensionSettings = response.settings;
+    defaultExtensionSettings = response.defaults;
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.settings) {
+    const previousColor = getButtonColor();
+    extensionSettings = { ...defaultExtensionSettings, ...(changes.settings.newValue || {}) };
+    if (getButtonColor() !== previousColor) applyButtonColor();
+  }
+});
+
+// Page enhancements that can be switched off on the options page.
+function isFeatureEnabled(feature) {
+  return !(extensionSettings.disabledFeatures || []).includes(feature);
+}
+
+function getButtonColor() {
+  return extensionSettings.buttonColor || "#0070d2";
+}
+
+// Elements take the colour when they are created and are marked with data-button-color; recolour the ones
+// already on the page after it changes.
+function applyButtonColor() {
+  document.querySelectorAll("[data-button-color]").forEach(element => {
+    element.style.backgroundColor = getButtonColor();
+  });
+  const spinner = document.querySelector("#exportSpinner .spinner");
+  if (spinner) spinner.style.borderTopColor = getButtonColor();
+}
+
+// Base name (without extension) of a field export, from the file name template on the options page.
+function buildExportFileName(objectName) {
+  const template = extensionSettings.fileNameTemplate || "{object}_fields_export";
+  const org = window.location.hostname.split(".")[0];
+  const date = new Date().toISOString().slice(0, 10);
+  return template
+    .replace(/\{org\}/g, org)
+    .replace(/\{object\}/g, objectName)
+    .replace(/\{date\}/g, date)
+    .replace(/[\\/:*?"<>|]/g, "_");
+}
+
 // ---------------------
 // Quick Find Handling
 // ---------------------
@@ -138,80 +228,542 @@ function setupCustomQuickFind(originalInput) {
     return;
   }
   
-  const newInput = originalInput.cloneNode(true);
-  newInput.id = "customQuickFind";
-  newInput.dataset.customized = "true";
-  originalInput.parentNode.replaceChild(newInput, originalInput);
+  // With the custom Quick Find switched off, the buttons still go next to the original input.
+  let newInput = originalInput;
+  if (isFeatureEnabled("quickFind")) {
+    newInput = originalInput.cloneNode(true);
+    newInput.id = "customQuickFind";
+    newInput.dataset.customized = "true";
+    originalInput.parentNode.replaceChild(newInput, originalInput);
+    newInput.addEventListener("input", onQuickFindInput);
+    console.log("Custom Quick Find attached.");
+    applyPendingQuickFind(newInput);
+  }
 
   // Ensure the container displays its children inline.
   const parent = newInput.parentNode;
   parent.style.display = "flex";
   parent.style.justifyContent = "flex-end";
   parent.style.alignItems = "center";
-  
-  newInput.addEventListener("input", onQuickFindInput);
-  console.log("Custom Quick Find attached.");
 
   // For detail pages, append the inline Export XLSX button to the same container.
   if (!isObjectManagerHomePage()) {
-    addInlineExportButton(parent);
+    if (isFeatureEnabled("exportButtons")) addInlineExportButton(parent);
+    if (isFeatureEnabled("analyzeUsage")) addAnalyzeUsageButton(parent);
+    if (isFeatureEnabled("enhancedView")) addEnhancedViewButton(parent);
+    if (isFeatureEnabled("snapshots")) addSnapshotsButton(parent);
+    if (isFeatureEnabled("clearCache")) addClearCacheButton(parent);
+  }
+}
+
+// ---------------------
+// Quick Find Query Syntax
+// ---------------------
+
+// Qualifiers understood by the custom Quick Find and the row attributes they search.
+const QUICK_FIND_QUALIFIERS = {
+  label: ["label"],
+  api: ["api"],
+  name: ["api"],
+  type: ["type"],
+  picklist: ["picklist"],
+  value: ["picklist"],
+  custom: ["custom"],
+  recordtype: ["recordType"],
+  rt: ["recordType"]
+};
+
+// Attributes searched by an unqualified term, with their weight in the relevance score.
+const QUICK_FIND_WEIGHTS = { label: 1, api: 0.9, type: 0.5, picklist: 0.3 };
+
+// Convert a value containing * or ? wildcards into an anchored, case-insensitive regex.
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+// Split a Quick Find query into terms. Supported syntax:
+//   word  "quoted phrase"  /regex/i  qualifier:value  qualifier:"phrase"  -term (negation)
+function parseQuickFindQuery(text) {
+  const terms = [];
+  const tokenPattern = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"?|\/((?:\\.|[^\/])+)\/([a-z]*)|(\S+))/g;
+  let match;
+  while ((match = tokenPattern.exec(text)) !== null) {
+    const [raw, negation, qualifier, phrase, regexSource, regexFlags, word] = match;
+    // Half-typed terms match nothing useful: a lone "-" or a qualifier still waiting for its value ("type:").
+    if (word === "-" || (word && /^[a-zA-Z]+:$/.test(word) && QUICK_FIND_QUALIFIERS[word.slice(0, -1).toLowerCase()])) {
+      continue;
+    }
+    const term = { negate: negation === "-", fields: null, kind: "text", value: "" };
+    if (qualifier) {
+      const fields = QUICK_FIND_QUALIFIERS[qualifier.toLowerCase()];
+      if (fields) {
+        term.fields = fields;
+      } else {
+        // Unknown qualifier: search for the literal text instead.
+        term.value = raw.slice(negation.length).replace(/"/g, "").toLowerCase();
+        if (term.value) terms.push(term);
+        continue;
+      }
+    }
+    if (regexSource !== undefined) {
+      try {
+        term.kind = "regex";
+        // Drop stateful flags so repeated test() calls stay independent.
+        const flags = regexFlags.replace(/[gy]/g, "");
+        term.regex = new RegExp(regexSource, flags.includes("i") ? flags : flags + "i");
+      } catch (error) {
+        term.kind = "text";
+        term.value = regexSource.toLowerCase();
+      }
+    } else {
+      term.value = (phrase !== undefined ? phrase : word || "").toLowerCase();
+      if (phrase === undefined && /[*?]/.test(term.value)) {
+        term.kind = "glob";
+        term.regex = globToRegExp(term.value);
+      }
+    }
+    if (term.fields && term.fields[0] === "custom") {
+      term.kind = "bool";
+      term.flag = !["false", "no", "0"].includes(term.value);
+    }
+    if (term.fields && term.fields[0] === "recordType") {
+      term.recordType = true;
+    }
+    if (term.kind !== "text" || term.value) terms.push(term);
+  }
+  return terms;
+}
+
+// Collect the searchable attributes of a table row (field rows on detail pages, object rows on the home page).
+function getQuickFindRowData(row) {
+  const cells = row.querySelectorAll("td");
+  if (cells.length < 3) return null;
+  const api = cells[1].innerText.trim();
+  const type = cells[2].innerText.trim();
+  return {
+    label: cells[0].innerText.trim().toLowerCase(),
+    api: api.toLowerCase(),
+    type: type.toLowerCase(),
+    picklist: row.dataset.picklistText ? row.dataset.picklistText.toLowerCase() : "",
+    // Record type name (lowercase) -> available values text, for picklists on objects with record types.
+    recordTypes: row.dataset.recordTypePicklists ? JSON.parse(row.dataset.recordTypePicklists) : {},
+    custom: /__[a-z]+$/i.test(api) || /^custom/i.test(type)
+  };
+}
+
+// Apply rt:/recordtype: terms. The row only matches if the field has values for a matching record type, and
+// picklist terms are then evaluated against the values available in those record types only.
+function scopeRowToRecordTypes(terms, rowData) {
+  const recordTypeTerms = terms.filter(term => term.recordType);
+  if (recordTypeTerms.length === 0) return rowData;
+  const names = Object.keys(rowData.recordTypes);
+  for (const term of recordTypeTerms.filter(t => t.negate)) {
+    if (names.some(name => rowData.recordTypes[name] && scoreQuickFindValue(term, name) > 0)) return null;
+  }
+  const positive = recordTypeTerms.filter(t => !t.negate);
+  if (positive.length === 0) return rowData;
+  const matching = names.filter(name => rowData.recordTypes[name] && positive.every(term => scoreQuickFindValue(term, name) > 0));
+  if (matching.length === 0) return null;
+  return { ...rowData, picklist: matching.map(name => rowData.recordTypes[name]).join(", ") };
+}
+
+// Score a single string against a term; 0 means no match.
+function scoreQuickFindValue(term, value) {
+  if (!value) return 0;
+  if (term.kind === "regex") return term.regex.test(value) ? 30 : 0;
+  if (term.kind === "glob") return term.regex.test(value) ? 60 : 0;
+  if (value === term.value) return 100;
+  if (value.startsWith(term.value)) return 60;
+  const index = value.indexOf(term.value);
+  if (index === -1) return 0;
+  return /[\s_,(]/.test(value.charAt(index - 1)) ? 40 : 20;
+}
+
+// Evaluate all terms against a row. Returns the relevance score, or -1 if the row does not match.
+function matchQuickFindRow(terms, rowData) {
+  rowData = scopeRowToRecordTypes(terms, rowData);
+  if (!rowData) return -1;
+  let score = 0;
+  for (const term of terms) {
+    let termScore = 0;
+    if (term.recordType) {
+      // Already applied by scopeRowToRecordTypes.
+      continue;
+    } else if (term.kind === "bool") {
+      termScore = rowData.custom === term.flag ? 10 : 0;
+    } else {
+      const fields = term.fields || Object.keys(QUICK_FIND_WEIGHTS);
+      fields.forEach(field => {
+        const weight = term.fields ? 1 : QUICK_FIND_WEIGHTS[field];
+        termScore = Math.max(termScore, scoreQuickFindValue(term, rowData[field]) * weight);
+      });
+    }
+    if (term.negate) {
+      if (termScore > 0) return -1;
+    } else {
+      if (termScore === 0) return -1;
+      score += termScore;
+    }
   }
+  return score;
 }
 
+// Load order of the table rows. Rows get the next number when first seen, so rows that lazy-load after a
+// ranked reorder still sort after the ones loaded before them.
+let quickFindRowCounter = 0;
+
 function onQuickFindInput(e) {
-  const query = e.target.value.trim().toLowerCase();
+  const terms = parseQuickFindQuery(e.target.value.trim());
+  if (isObjectManagerHomePage()) renderFieldSearchResults(terms);
+  if (enhancedFieldTable) enhancedFieldTable.filter(terms);
   const tableBody = document.querySelector("table tbody");
   if (!tableBody) return;
-  const rows = tableBody.querySelectorAll("tr");
-  
+  const rows = Array.from(tableBody.querySelectorAll("tr"));
   rows.forEach(row => {
-    const cells = row.querySelectorAll("td");
-    if (cells.length < 3) return;
-    const fieldLabel = cells[0].innerText.toLowerCase();
-    const apiName = cells[1].innerText.toLowerCase();
-    const fieldType = cells[2].innerText.toLowerCase();
-    const picklistText = row.dataset.picklistText ? row.dataset.picklistText.toLowerCase() : "";
-    const combined = fieldLabel + " " + picklistText;
-    
-    row.style.display = (query === "" || 
-                         combined.includes(query) || 
-                         apiName.includes(query) || 
-                         fieldType.includes(query))
-      ? ""
-      : "none";
+    if (row.dataset.quickFindIndex === undefined) row.dataset.quickFindIndex = quickFindRowCounter++;
   });
+  const originalIndex = row => Number(row.dataset.quickFindIndex);
+
+  if (terms.length === 0) {
+    rows.forEach(row => {
+      row.style.display = "";
+      clearQuickFindDecorations(row);
+    });
+    rows.sort((a, b) => originalIndex(a) - originalIndex(b));
+    updateQuickFindCounter(null);
+  } else {
+    const scores = new Map();
+    let total = 0;
+    rows.forEach(row => {
+      // The chip sits in the label cell, so it goes before the row is read.
+      clearQuickFindDecorations(row);
+      const rowData = getQuickFindRowData(row);
+      const score = rowData ? matchQuickFindRow(terms, rowData) : -1;
+      scores.set(row, score);
+      row.style.display = score >= 0 ? "" : "none";
+      if (rowData) total++;
+      if (score >= 0) decorateQuickFindRow(row, terms, rowData);
+    });
+    // Most relevant first; ties and hidden rows keep their original order.
+    rows.sort((a, b) => (scores.get(b) - scores.get(a)) || (originalIndex(a) - originalIndex(b)));
+    updateQuickFindCounter(rows.filter(row => scores.get(row) >= 0).length, total);
+  }
+  // Only touch the DOM when the order actually changes.
+  const current = Array.from(tableBody.querySelectorAll("tr"));
+  if (rows.some((row, i) => current[i] !== row)) {
+    rows.forEach(row => tableBody.appendChild(row));
+  }
 }
 
 // ---------------------
-// Picklist & Export
+// Quick Find Match Highlighting
 // ---------------------
 
-function fetchPicklistValuesViaBackground(row, objectName, fieldApiName, isStandard) {
-  const origin = window.location.origin;
-  chrome.runtime.sendMessage(
-    {
-      type: "fetchPicklistValues",
-      objectName,
-      fieldApiName,
-      origin,
-      isStandard
-    },
-    response => {
-      if (response && response.success) {
-        const picklistText = response.data.picklistText || "";
-        row.dataset.picklistText = picklistText;
-        const labelCell = row.querySelector("td");
-        if (labelCell) labelCell.setAttribute("title", picklistText);
-        console.log(`Fetched picklist for ${fieldApiName}: ${picklistText}`);
-        const customQF = document.getElementById("customQuickFind");
-        if (customQF) {
-          onQuickFindInput({ target: { value: customQF.value } });
+// Row attributes whose cells (label, API name, type) get their matches highlighted, in cell order.
+const QUICK_FIND_HIGHLIGHT_CELLS = ["label", "api", "type"];
+// Matched picklist values listed in the chip before it is cut short.
+const QUICK_FIND_CHIP_MAX_VALUES = 5;
+
+// Terms that explain why a row attribute matched: positive text, glob and regex terms searching it.
+function getHighlightTerms(terms, attribute) {
+  return terms.filter(term =>
+    !term.negate && !term.recordType && term.kind !== "bool" && (!term.fields || term.fields.includes(attribute)));
+}
+
+// [start, end) ranges of text matched by a term. Globs match the whole value, so they mark all of it.
+function findQuickFindRanges(term, text) {
+  if (term.kind === "glob") return term.regex.test(text.trim()) ? [[0, text.length]] : [];
+  if (term.kind === "regex") {
+    const regex = new RegExp(term.regex.source, term.regex.flags + "g");
+    return Array.from(text.matchAll(regex)).filter(m => m[0]).map(m => [m.index, m.index + m[0].length]);
+  }
+  const ranges = [];
+  const lower = text.toLowerCase();
+  for (let i = lower.indexOf(term.value); i !== -1; i = lower.indexOf(term.value, i + term.value.length)) {
+    ranges.push([i, i + term.value.length]);
+  }
+  return ranges;
+}
+
+// Wrap the ranges (offsets into the cell's text) in <mark> elements, leaving the cell's own markup in place.
+function highlightCell(cell, ranges) {
+  if (ranges.length === 0) return;
+  ranges.sort((a, b) => a[0] - b[0]);
+  const walker = document.createTreeWalker(cell, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  let offset = 0;
+  nodes.forEach(node => {
+    const text = node.nodeValue;
+    const nodeStart = offset;
+    offset += text.length;
+    const local = ranges
+      .map(([start, end]) => [Math.max(start, nodeStart) - nodeStart, Math.min(end, offset) - nodeStart])
+      .filter(([start, end]) => start < end);
+    if (local.length === 0) return;
+    const fragment = document.createDocumentFragment();
+    let position = 0;
+    local.forEach(([start, end]) => {
+      // Overlapping ranges from different terms are merged into one mark.
+      start = Math.max(start, position);
+      if (start >= end) return;
+      if (start > position) fragment.appendChild(document.createTextNode(text.slice(position, start)));
+      const mark = document.createElement("mark");
+      mark.className = "quickFindMatch";
+      mark.style.cssText = "background: #fff03f; color: inherit; padding: 0;";
+      mark.textContent = text.slice(start, end);
+      fragment.appendChild(mark);
+      position = end;
+    });
+    if (position < text.length) fragment.appendChild(document.createTextNode(text.slice(position)));
+    node.parentNode.replaceChild(fragment, node);
+  });
+}
+
+// Picklist values of the row matched by the terms, in their original case. With rt: terms only the values
+// of the matching record types count.
+function getMatchedPicklistValues(terms, row, rowData) {
+  const picklistTerms = getHighlightTerms(terms, "picklist");
+  const scoped = scopeRowToRecordTypes(terms, rowData);
+  if (picklistTerms.length === 0 || !scoped || !scoped.picklist) return [];
+  const originals = (row.dataset.picklistText || "").split(", ");
+  return scoped.picklist
+    .split(", ")
+    .filter(value => picklistTerms.some(term => scoreQuickFindValue(term, value) > 0))
+    .map(value => originals.find(original => original.toLowerCase() === value) || value);
+}
+
+// Highlight the matches of a row kept by the Quick Find and show the picklist values that matched.
+function decorateQuickFindRow(row, terms, rowData) {
+  const cells = row.querySelectorAll("td");
+  QUICK_FIND_HIGHLIGHT_CELLS.forEach((attribute, index) => {
+    const cell = cells[index];
+    const text = cell.textContent;
+    highlightCell(cell, getHighlightTerms(terms, attribute).flatMap(term => findQuickFindRanges(term, text)));
+  });
+  const values = getMatchedPicklistValues(terms, row, rowData);
+  if (values.length === 0) return;
+  const chip = document.createElement("span");
+  chip.className = "quickFindChip";
+  chip.style.cssText =
+    "display: inline-block; margin-left: 6px; padding: 0 6px; border-radius: 10px; background: #e8f1fb; color: #0b5cab; font-size: 11px; white-space: nowrap;";
+  const shown = values.slice(0, QUICK_FIND_CHIP_MAX_VALUES).join(", ");
+  const more = values.length - QUICK_FIND_CHIP_MAX_VALUES;
+  chip.textContent = `Values: ${shown}${more > 0 ? ` +${more} more` : ""}`;
+  chip.title = `Matched picklist values: ${values.join(", ")}`;
+  cells[0].appendChild(chip);
+}
+
+// Remove highlights and chips below root (a row, or the whole page).
+function clearQuickFindDecorations(root = document) {
+  root.querySelectorAll(".quickFindChip").forEach(chip => chip.remove());
+  root.querySelectorAll("mark.quickFindMatch").forEach(mark => {
+    const parent = mark.parentNode;
+    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+    parent.normalize();
+  });
+}
+
+// "12 of 340 fields" next to the Quick Find box; null removes it.
+function updateQuickFindCounter(visible, total) {
+  let counter = document.getElementById("quickFindCounter");
+  if (visible === null) {
+    if (counter) counter.remove();
+    return;
+  }
+  const input = document.getElementById("customQuickFind");
+  if (!input) return;
+  if (!counter) {
+    counter = document.createElement("span");
+    counter.id = "quickFindCounter";
+    counter.style.cssText = "margin-left: 8px; color: #555; font-size: 13px; white-space: nowrap;";
+    input.parentNode.insertBefore(counter, input.nextSibling);
+  }
+  counter.textContent = `${visible} of ${total} ${isObjectManagerHomePage() ? "objects" : "fields"}`;
+}
+
+// ---------------------
+// Org-wide Field Search
+// ---------------------
+
+// Every indexed field of the org with its Quick Find row data, loaded from the background index.
+let fieldSearchEntries = [];
+let fieldSearchStatus = "";
+const FIELD_SEARCH_MAX_RESULTS = 200;
+
+function formatIndexedFieldType(field) {
+  if (field.type === "reference") {
+    return `${field.masterDetail ? "Master-Detail" : "Lookup"}(${field.referenceTo.join(",")})`;
+  }
+  return FIELD_TYPE_LABELS[field.type] || field.type.charAt(0).toUpperCase() + field.type.slice(1);
+}
+
+function setFieldSearchIndex(index, building) {
+  fieldSearchEntries = [];
+  const objects = index ? index.objects : {};
+  Object.keys(objects).forEach(objectApiName => {
+    objects[objectApiName].fields.forEach(field => {
+      const type = formatIndexedFieldType(field);
+      fieldSearchEntries.push({
+        objectApiName,
+        objectLabel: objects[objectApiName].label,
+        field,
+        type,
+        rowData: {
+          label: field.label.toLowerCase(),
+          api: field.name.toLowerCase(),
+          type: type.toLowerCase(),
+          picklist: field.picklist,
+          recordTypes: {},
+          custom: field.custom
         }
-      } else {
-        console.error("Error fetching picklist values:", response && response.error);
-      }
-    }
-  );
+      });
+    });
+  });
+  const indexed = Object.keys(objects).length;
+  fieldSearchStatus = building || !index || !index.complete
+    ? `Indexing fields: ${indexed} of ${index && index.total ? index.total : "?"} objects so far, results may be incomplete.`
+    : `Searching ${fieldSearchEntries.length} fields on ${indexed} objects.`;
+}
+
+// Load the stored index right away, then refresh it in the background and reload it once done. With force the
+// index is refreshed however recently it was built.
+async function loadFieldSearchIndex(force = false) {
+  const load = async building => {
+    const response = await sendBackgroundMessage({ type: "getFieldIndex", origin: window.location.origin });
+    if (!response || !response.success) return;
+    setFieldSearchIndex(response.index, building);
+    refreshFieldSearchResults();
+  };
+  await load(true);
+  const result = await sendBackgroundMessage({ type: "buildFieldIndex", origin: window.location.origin, force });
+  if (!result || !result.success) {
+    reportApiError("Could not build the field search index", result);
+  }
+  await load(false);
+}
+
+function createFieldSearchPanel(container) {
+  if (document.getElementById("fieldSearchResults")) return;
+  const panel = document.createElement("div");
+  panel.id = "fieldSearchResults";
+  panel.style.cssText =
+    "display: none; max-height: 320px; overflow-y: auto; background: white; border: 1px solid #ddd; border-radius: 4px; padding: 8px 12px; margin: 8px 0; font-size: 13px;";
+  container.parentNode.insertBefore(panel, container.nextSibling);
+}
+
+function refreshFieldSearchResults() {
+  const input = document.getElementById("customQuickFind");
+  renderFieldSearchResults(parseQuickFindQuery(input ? input.value.trim() : ""));
+}
+
+// List the indexed fields matching the Quick Find terms, grouped by object, best matches first.
+function renderFieldSearchResults(terms) {
+  const panel = document.getElementById("fieldSearchResults");
+  if (!panel) return;
+  panel.innerHTML = "";
+  if (terms.length === 0) {
+    panel.style.display = "none";
+    return;
+  }
+  const matches = fieldSearchEntries
+    .map(entry => ({ entry, score: matchQuickFindRow(terms, entry.rowData) }))
+    .filter(match => match.score >= 0)
+    .sort((a, b) => b.score - a.score);
+  const groups = new Map();
+  matches.slice(0, FIELD_SEARCH_MAX_RESULTS).forEach(({ entry }) => {
+    if (!groups.has(entry.objectApiName)) groups.set(entry.objectApiName, { label: entry.objectLabel, entries: [] });
+    groups.get(entry.objectApiName).entries.push(entry);
+  });
+
+  const summary = document.createElement("div");
+  summary.style.cssText = "color: #555; margin-bottom: 6px;";
+  summary.innerText = `${matches.length} matching fields` +
+    (matches.length > FIELD_SEARCH_MAX_RESULTS ? ` (showing the best ${FIELD_SEARCH_MAX_RESULTS})` : "") +
+    `. ${fieldSearchStatus}`;
+  panel.appendChild(summary);
+
+  groups.forEach((group, objectApiName) => {
+    const link = document.createElement("a");
+    link.href = `/lightning/setup/ObjectManager/${encodeURIComponent(objectApiName)}/FieldsAndRelationships/view`;
+    link.innerText = `${group.label} (${objectApiName})`;
+    link.style.cssText = "display: block; font-weight: bold; margin-top: 6px;";
+    panel.appendChild(link);
+    const list = document.createElement("ul");
+    list.style.cssText = "margin: 2px 0 0 16px; list-style: disc;";
+    group.entries.forEach(entry => {
+      const item = document.createElement("li");
+      item.innerText = `${entry.field.label} (${entry.field.name}) · ${entry.type}`;
+      list.appendChild(item);
+    });
+    panel.appendChild(list);
+  });
+  panel.style.display = "block";
+}
+
+// ---------------------
+// Picklist & Export
+// ---------------------
+
+// Request the picklist values of every picklist on the object in one message.
+function fetchObjectPicklistsViaBackground(objectName) {
+  return new Promise(resolve => {
+    chrome.runtime.sendMessage(
+      { type: "fetchObjectPicklistValues", objectName, origin: window.location.origin },
+      resolve
+    );
+  });
+}
+
+// Store picklist text on a row and surface it as the label cell's tooltip. recordTypeValues optionally maps
+// record type names to the labels available for that record type; controller names a dependent picklist's
+// controlling field.
+function applyPicklistTextToRow(row, picklistText, { recordTypeValues, controller } = {}) {
+  row.dataset.picklistText = picklistText;
+  let tooltip = picklistText;
+  if (controller) {
+    tooltip = `Controlled by: ${controller}\n\n${tooltip}`;
+  }
+  if (recordTypeValues && Object.keys(recordTypeValues).length) {
+    const searchable = {};
+    const lines = Object.keys(recordTypeValues).map(name => {
+      const labels = recordTypeValues[name].join(", ");
+      searchable[name.toLowerCase()] = labels.toLowerCase();
+      return `${name}: ${labels || "(none)"}`;
+    });
+    row.dataset.recordTypePicklists = JSON.stringify(searchable);
+    tooltip = `${tooltip}\n\nBy record type:\n${lines.join("\n")}`;
+  }
+  const labelCell = row.querySelector("td");
+  if (!labelCell) return;
+  if (tooltip) {
+    labelCell.setAttribute("title", tooltip);
+  } else {
+    labelCell.removeAttribute("title");
+  }
+}
+
+// Record type picklist values per object, fetched once per page load since each fetch costs one UI API
+// request per record type. Clear Cache empties it.
+const recordTypePicklistCache = new Map();
+
+function getRecordTypePicklists(objectName) {
+  if (!recordTypePicklistCache.has(objectName)) {
+    const request = sendBackgroundMessage({ type: "fetchRecordTypePicklistValues", objectName, origin: window.location.origin })
+      .then(response => {
+        if (!response || !response.success) recordTypePicklistCache.delete(objectName);
+        return response;
+      });
+    recordTypePicklistCache.set(objectName, request);
+  }
+  return recordTypePicklistCache.get(objectName);
+}
+
+// Look up a field's entry in a map keyed by field API name, ignoring case.
+function findByFieldName(map, fieldApiName) {
+  const key = Object.keys(map || {}).find(name => name.toLowerCase() === fieldApiName.toLowerCase());
+  return key ? map[key] : undefined;
 }
 
 async function processPicklistRows() {
@@ -224,26 +776,352 @@ async function processPicklistRows() {
     return;
   }
   
-  const rows = tableBody.querySelectorAll("tr");
-  rows.forEach(row => {
+  const picklistRows = [];
+  tableBody.querySelectorAll("tr").forEach(row => {
     if (row.dataset.picklistFetched === "true") return;
     
     const cells = row.querySelectorAll("td");
     if (cells.length < 3) return;
+    addWhereUsedAction(row, objectName);
+    applyFillRateToRow(row, objectName);
     
     const fieldType = cells[2].innerText.toLowerCase();
-    const fieldApiName = cells[1].innerText.trim();
-    const isStandard = !fieldApiName.endsWith("__c");
-    
     if (fieldType.includes("picklist")) {
-      fetchPicklistValuesViaBackground(row, objectName, fieldApiName, isStandard);
+      picklistRows.push({ row, fieldApiName: cells[1].innerText.trim() });
+      addPicklistUsageAction(row, objectName);
     } else {
-      row.dataset.picklistText = "";
-      const labelCell = row.querySelector("td");
-      if (labelCell) labelCell.removeAttribute("title");
+      applyPicklistTextToRow(row, "");
     }
     row.dataset.picklistFetched = "true";
   });
+  if (picklistRows.length === 0) return;
+
+  const response = await fetchObjectPicklistsViaBackground(objectName);
+  if (!response || !response.success) {
+    reportApiError("Could not load picklist values", response);
+    picklistRows.forEach(({ row }) => { row.dataset.picklistFetched = "false"; });
+    return;
+  }
+  // Record type values are optional: objects without record types, or not supported by the UI API, skip them.
+  const recordTypeResponse = await getRecordTypePicklists(objectName);
+  const recordTypePicklists = recordTypeResponse && recordTypeResponse.success ? recordTypeResponse.picklists : {};
+  picklistRows.forEach(({ row, fieldApiName }) => {
+    const picklist = findByFieldName(response.picklists, fieldApiName);
+    const byRecordType = findByFieldName(recordTypePicklists, fieldApiName);
+    const recordTypeValues = {};
+    Object.keys(byRecordType || {}).forEach(name => {
+      recordTypeValues[name] = byRecordType[name].map(v => v.label);
+    });
+    const controller = picklist && picklist.controllerName
+      ? `${picklist.controllerLabel} (${picklist.controllerName})`
+      : "";
+    applyPicklistTextToRow(row, picklist ? picklist.picklistText : "", { recordTypeValues, controller });
+  });
+  console.log(`Fetched picklist values for ${picklistRows.length} fields on ${objectName}.`);
+
+  const customQF = document.getElementById("customQuickFind");
+  if (customQF) {
+    onQuickFindInput({ target: { value: customQF.value } });
+  }
+}
+
+// ---------------------
+// Field Dependencies
+// ---------------------
+
+// Add a "Where used?" link to the last cell of a custom field row (Quick Find only reads the first three cells).
+function addWhereUsedAction(row, objectName) {
+  if (!window.location.pathname.includes("FieldsAndRelationships")) return;
+  const cells = row.querySelectorAll("td");
+  if (cells.length < 4 || row.querySelector(".whereUsedAction")) return;
+  const fieldApiName = cells[1].innerText.trim();
+  // MetadataComponentDependency only tracks custom fields.
+  if (!/__c$/i.test(fieldApiName)) return;
+  const link = document.createElement("a");
+  link.className = "whereUsedAction";
+  link.href = "#";
+  link.innerText = "Where used?";
+  link.style.cssText = "font-size: 12px; margin-left: 6px; white-space: nowrap;";
+  link.addEventListener("click", event => {
+    event.preventDefault();
+    event.stopPropagation();
+    showWhereUsedPanel(objectName, fieldApiName, cells[0].innerText.trim());
+  });
+  cells[cells.length - 1].appendChild(link);
+}
+
+// Panel docked to the right edge of the page, replacing any other side panel. Returns the body element.
+function createSidePanel(titleText, subtitleText) {
+  const existing = document.getElementById("fieldSidePanel");
+  if (existing) existing.remove();
+  const panel = document.createElement("div");
+  panel.id = "fieldSidePanel";
+  panel.style.cssText =
+    "position: fixed; top: 0; right: 0; width: 380px; height: 100%; background: white; box-shadow: -2px 0 8px rgba(0,0,0,0.3); z-index: 10000; padding: 16px; overflow-y: auto; font-size: 13px; box-sizing: border-box;";
+  const closeButton = createOverlayButton("Close", () => panel.remove(), "#aaa");
+  closeButton.style.float = "right";
+  panel.appendChild(closeButton);
+  const title = document.createElement("h2");
+  title.innerText = titleText;
+  title.style.cssText = "font-size: 16px; font-weight: bold; margin-bottom: 4px;";
+  panel.appendChild(title);
+  const subtitle = document.createElement("div");
+  subtitle.innerText = subtitleText;
+  subtitle.style.cssText = "color: #555; margin-bottom: 12px;";
+  panel.appendChild(subtitle);
+  const body = document.createElement("div");
+  panel.appendChild(body);
+  document.body.appendChild(panel);
+  return body;
+}
+
+// Side panel listing the metadata that references a field, grouped by component type.
+async function showWhereUsedPanel(objectName, fieldApiName, fieldLabel) {
+  const body = createSidePanel(`Where is ${fieldLabel} used?`, `${objectName}.${fieldApiName}`);
+  body.innerText = "Loading dependencies...";
+
+  const response = await sendBackgroundMessage({
+    type: "fetchFieldDependencies",
+    objectName,
+    fieldApiNames: [fieldApiName],
+    origin: window.location.origin
+  });
+  if (!response || !response.success) {
+    body.innerText = `Could not load dependencies: ${response ? response.error : "No response from background."}`;
+    return;
+  }
+  const dependencies = response.dependencies[fieldApiName] || [];
+  body.innerHTML = "";
+  if (dependencies.length === 0) {
+    body.innerText = "No references found.";
+    return;
+  }
+  const byType = {};
+  dependencies.forEach(dep => { (byType[dep.type] = byType[dep.type] || []).push(dep); });
+  Object.keys(byType).sort().forEach(type => {
+    const heading = document.createElement("h3");
+    heading.innerText = `${type} (${byType[type].length})`;
+    heading.style.cssText = "font-weight: bold; margin: 10px 0 4px;";
+    body.appendChild(heading);
+    const list = document.createElement("ul");
+    list.style.cssText = "margin: 0 0 0 16px; list-style: disc;";
+    byType[type].sort((a, b) => a.name.localeCompare(b.name)).forEach(dep => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.href = `/${dep.id}`;
+      link.target = "_blank";
+      link.innerText = dep.name;
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    body.appendChild(list);
+  });
+}
+
+// Attach referencedBy to every field of a describe response, for the Referenced By export column.
+async function loadFieldDependencies(objectApiName, origin, response, batchId) {
+  const result = await sendBackgroundMessage({ type: "fetchFieldDependencies", objectName: objectApiName, origin, batchId });
+  response.fields.forEach(field => {
+    if (!result || !result.success) {
+      field.referencedBy = null;
+    } else {
+      field.referencedBy = findByFieldName(result.dependencies, field.fieldApiName) || null;
+    }
+  });
+}
+
+function formatReferencedBy(field) {
+  if (!/__c$/i.test(field.fieldApiName)) return "";
+  if (!field.referencedBy) return "(lookup failed)";
+  return field.referencedBy.map(dep => `${dep.type}: ${dep.name}`).join(", ");
+}
+
+// ---------------------
+// Field Fill Rates
+// ---------------------
+
+// Fill-rate results of objects analyzed on this page, reused by the % Populated export column.
+const fillRateCache = {};
+
+function formatFillRate(fillRate) {
+  if (!fillRate) return "";
+  if (fillRate.measurable === false) return "Not measurable";
+  if (fillRate.error) return `Error: ${fillRate.error}`;
+  return fillRate.checked ? `${fillRate.percent}% checked` : `${fillRate.percent}%`;
+}
+
+// Show a field's fill rate in the last cell of its row (Quick Find only reads the first three cells).
+function applyFillRateToRow(row, objectName) {
+  const result = fillRateCache[objectName];
+  const cells = row.querySelectorAll("td");
+  if (!result || cells.length < 4) return;
+  const fillRate = findByFieldName(result.fields, cells[1].innerText.trim());
+  if (!fillRate) return;
+  let badge = row.querySelector(".fillRateBadge");
+  if (!badge) {
+    badge = document.createElement("span");
+    badge.className = "fillRateBadge";
+    badge.style.cssText = "font-size: 12px; margin-left: 6px; padding: 1px 6px; border-radius: 8px; white-space: nowrap;";
+    cells[cells.length - 1].appendChild(badge);
+  }
+  badge.innerText = fillRate.measurable === false || fillRate.error || fillRate.checked
+    ? formatFillRate(fillRate)
+    : `${fillRate.percent}% populated`;
+  badge.title = fillRate.measurable === false
+    ? fillRate.reason
+    : fillRate.error || `${fillRate.populated} of ${result.total} records${fillRate.checked ? " checked" : ""}`;
+  badge.style.background = fillRate.measurable === false || fillRate.error ? "#ecebea" : fillRate.percent === 0 ? "#fddde3" : "#d9f2e6";
+}
+
+async function analyzeFieldUsage(button) {
+  const objectName = await getObjectApiNameFromURL();
+  if (!objectName) return;
+  button.disabled = true;
+  button.textContent = "Analyzing...";
+  const response = await sendBackgroundMessage({ type: "fetchFieldFillRates", objectName, origin: window.location.origin });
+  button.disabled = false;
+  if (!response || !response.success) {
+    reportApiError("Could not analyze field usage", response);
+    button.textContent = "Analysis Failed";
+    button.title = response ? response.error : "No response from background.";
+    return;
+  }
+  fillRateCache[objectName] = response;
+  button.textContent = `Analyzed ${response.total} records`;
+  const tableBody = document.querySelector("table tbody");
+  if (tableBody) tableBody.querySelectorAll("tr").forEach(row => applyFillRateToRow(row, objectName));
+}
+
+function addAnalyzeUsageButton(parentContainer) {
+  if (!window.location.pathname.includes("FieldsAndRelationships")) return;
+  if (document.getElementById("analyzeUsageButton")) return;
+  const button = document.createElement("button");
+  button.id = "analyzeUsageButton";
+  button.textContent = "Analyze Usage";
+  button.title = "Count how many records populate each field";
+  button.style.cssText =
+    `background-color: ${getButtonColor()}; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;`;
+  button.dataset.buttonColor = "true";
+  button.addEventListener("click", () => analyzeFieldUsage(button));
+  parentContainer.appendChild(button);
+}
+
+// Attach fillRate to every field of a describe response, for the % Populated export column.
+async function loadFieldFillRates(objectApiName, origin, response, batchId) {
+  let result = origin === window.location.origin ? fillRateCache[objectApiName] : null;
+  if (!result) {
+    result = await sendBackgroundMessage({ type: "fetchFieldFillRates", objectName: objectApiName, origin, batchId });
+  }
+  response.fields.forEach(field => {
+    field.fillRate = result && result.success
+      ? findByFieldName(result.fields, field.fieldApiName) || null
+      : { error: result ? result.error : "No response from background." };
+  });
+}
+
+// ---------------------
+// Picklist Value Usage
+// ---------------------
+
+function fetchPicklistUsageViaBackground(objectName, fieldApiName, origin = window.location.origin, batchId) {
+  return sendBackgroundMessage({
+    type: "fetchPicklistValues",
+    objectName,
+    fieldApiName,
+    origin,
+    isStandard: !/__c$/i.test(fieldApiName),
+    includeUsage: true,
+    batchId
+  });
+}
+
+// Unused values, and values found in data that are inactive or not defined on the field, need attention.
+function getPicklistUsageStatus(value) {
+  if (value.missing) return "Not in value set";
+  if (value.unverified) return "Inactive or not in value set";
+  if (!value.active) return value.count ? "Inactive (in use)" : "Inactive";
+  return value.count ? "" : "Unused";
+}
+
+function addPicklistUsageAction(row, objectName) {
+  if (!window.location.pathname.includes("FieldsAndRelationships")) return;
+  const cells = row.querySelectorAll("td");
+  if (cells.length < 4 || row.querySelector(".picklistUsageAction")) return;
+  const link = document.createElement("a");
+  link.className = "picklistUsageAction";
+  link.href = "#";
+  link.innerText = "Value usage";
+  link.style.cssText = "font-size: 12px; margin-left: 6px; white-space: nowrap;";
+  link.addEventListener("click", event => {
+    event.preventDefault();
+    event.stopPropagation();
+    showPicklistUsagePanel(objectName, cells[1].innerText.trim(), cells[0].innerText.trim());
+  });
+  cells[cells.length - 1].appendChild(link);
+}
+
+// Side panel listing each picklist value with its record count, highlighting values that need attention.
+async function showPicklistUsagePanel(objectName, fieldApiName, fieldLabel) {
+  const body = createSidePanel(`Value usage: ${fieldLabel}`, `${objectName}.${fieldApiName}`);
+  body.innerText = "Counting records...";
+  const response = await fetchPicklistUsageViaBackground(objectName, fieldApiName);
+  if (!response || !response.success) {
+    body.innerText = `Could not count values: ${response ? response.error : "No response from background."}`;
+    return;
+  }
+  if (!response.data.usage) {
+    body.innerText = response.data.usageError;
+    return;
+  }
+  body.innerHTML = "";
+  const table = document.createElement("table");
+  table.style.cssText = "width: 100%; border-collapse: collapse;";
+  const rows = [
+    ...response.data.usage.map(value => ({ label: value.label, count: value.count, status: getPicklistUsageStatus(value) })),
+    { label: "(blank)", count: response.data.blankCount, status: "" }
+  ];
+  [{ label: "Value", count: "Records", status: "" }, ...rows].forEach((value, i) => {
+    const tr = document.createElement("tr");
+    [value.label, value.count, value.status].forEach((text, column) => {
+      const cell = document.createElement(i === 0 ? "th" : "td");
+      cell.innerText = text;
+      cell.style.cssText = `border-bottom: 1px solid #ddd; padding: 4px; text-align: ${column === 1 ? "right" : "left"};`;
+      tr.appendChild(cell);
+    });
+    if (value.status) tr.style.background = value.status === "Unused" ? "#fff3cd" : "#fddde3";
+    table.appendChild(tr);
+  });
+  body.appendChild(table);
+}
+
+// Value x record count table for every picklist on the object.
+function buildPicklistUsageTable(response) {
+  const rows = [["Field Label", "API Name", "Value", "API Value", "Records", "Status"]];
+  response.fields.forEach(field => {
+    const usage = field.picklistUsage;
+    if (!usage) return;
+    if (!usage.usage) {
+      rows.push([field.fieldLabel, field.fieldApiName, "", "", "", usage.usageError]);
+      return;
+    }
+    usage.usage.forEach(value => {
+      rows.push([field.fieldLabel, field.fieldApiName, value.label, value.value, value.count, getPicklistUsageStatus(value)]);
+    });
+    rows.push([field.fieldLabel, field.fieldApiName, "(blank)", "", usage.blankCount, ""]);
+  });
+  return rows.length > 1 ? [{ title: "Picklist Value Usage", sheetSuffix: "Usage", rows }] : [];
+}
+
+// Load usage counts onto every picklist field, one field at a time to keep the query load low.
+async function loadPicklistUsage(objectApiName, origin, response, batchId) {
+  for (const field of response.fields.filter(f => f.fieldType === "picklist" || f.fieldType === "multipicklist")) {
+    const result = await fetchPicklistUsageViaBackground(objectApiName, field.fieldApiName, origin, batchId);
+    // Once the export is cancelled, every remaining field would be cancelled too.
+    if (result && result.errorKind === "cancelled") return;
+    field.picklistUsage = result && result.success
+      ? result.data
+      : { usage: null, usageError: result ? result.error : "No response from background." };
+  }
 }
 
 // Helper to ensure unique sheet names in XLSX
@@ -258,13 +1136,44 @@ function getUniqueSheetName(sheetName, existingNames) {
   return uniqueName;
 }
 
+// Non-blocking error panel in the bottom-left corner; a newer error replaces the previous one.
+function showErrorPanel(message, { sessionExpired = false } = {}) {
+  const existing = document.getElementById("apiErrorPanel");
+  if (existing) existing.remove();
+  const panel = document.createElement("div");
+  panel.id = "apiErrorPanel";
+  panel.style.cssText =
+    "position: fixed; bottom: 20px; left: 20px; width: 340px; background: white; border: 1px solid #c23934; border-left: 4px solid #c23934; border-radius: 5px; box-shadow: 0 2px 8px rgba(0,0,0,0.3); padding: 12px 15px; z-index: 10001; font-size: 13px;";
+  const title = document.createElement("div");
+  title.innerText = sessionExpired ? "Salesforce session expired" : "Request failed";
+  title.style.cssText = "font-weight: bold; color: #c23934; margin-bottom: 4px;";
+  panel.appendChild(title);
+  const text = document.createElement("div");
+  text.innerText = sessionExpired
+    ? `${message}\nLog in to Salesforce again in this browser, then retry.`
+    : message;
+  panel.appendChild(text);
+  const closeButton = createOverlayButton("Dismiss", () => panel.remove(), "#aaa");
+  closeButton.style.marginTop = "8px";
+  panel.appendChild(closeButton);
+  document.body.appendChild(panel);
+  setTimeout(() => panel.remove(), 15000);
+}
+
+// Log a failed background response and tell the user about it.
+function reportApiError(context, response) {
+  const message = response ? response.error : "No response from background.";
+  console.error(`${context}:`, message);
+  showErrorPanel(`${context}: ${message}`, { sessionExpired: !!(response && response.errorKind === "sessionExpired") });
+}
+
 // Spinner
 function showSpinner() {
   if (document.getElementById("exportSpinner")) return;
   const spinner = document.createElement("div");
   spinner.id = "exportSpinner";
   spinner.style.cssText = "position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); z-index: 9999;";
-  spinner.innerHTML = '<div class="spinner"></div>';
+  spinner.innerHTML = `<div class="spinner" style="border-top-color: ${getButtonColor()};"></div>`;
   document.body.appendChild(spinner);
   if (!document.getElementById("spinnerStyles")) {
     const style = document.createElement("style");
@@ -306,373 +1215,2456 @@ function hideSpinner() {
 * Ver | Date         | Author    | Modification
 *==============================================================================  
 * 1.3 | February 17,2025 | Dave Moudy | Added mapping for field types (e.g., Reference → Lookup(User), Double → Number(4,0), String → Text(500))
+* 1.9 | October 19,2026 |            | Build the type from describe metadata (relationships, precision/scale, formulas, roll-ups, text areas)
 **/
-function mapFieldTypeForExport(fieldType, fieldLength) {
-  switch (fieldType.toLowerCase()) {
-    case 'reference':
-      return 'Lookup(User)';
+
+// Salesforce labels for describe types that need no extra detail.
+const FIELD_TYPE_LABELS = {
+  id: "ID",
+  boolean: "Checkbox",
+  date: "Date",
+  datetime: "Date/Time",
+  time: "Time",
+  email: "Email",
+  phone: "Phone",
+  url: "URL",
+  picklist: "Picklist",
+  multipicklist: "Picklist (Multi-Select)",
+  combobox: "Picklist",
+  location: "Geolocation",
+  address: "Address",
+  base64: "File",
+  anytype: "Any Type"
+};
+
+// Render the type of a field, without formula or roll-up wrapping.
+function mapBaseFieldType(field) {
+  const type = (field.fieldType || "").toLowerCase();
+  const precision = field.precision || 0;
+  const scale = field.scale || 0;
+  switch (type) {
+    case 'reference': {
+      const targets = (field.referenceTo || []).join(",");
+      // Master-detail fields carry a relationship order (0 or 1); lookups do not.
+      const kind = field.relationshipOrder !== null && field.relationshipOrder !== undefined ? "Master-Detail" : "Lookup";
+      return `${kind}(${targets})`;
+    }
     case 'double':
-      return 'Number(4,0)';
+      return `Number(${precision - scale}, ${scale})`;
+    case 'currency':
+      return `Currency(${precision - scale}, ${scale})`;
+    case 'percent':
+      return `Percent(${precision - scale}, ${scale})`;
+    case 'int':
+      return `Number(${field.digits || precision}, 0)`;
     case 'string':
-      return `Text(${fieldLength || 500})`;
+      return `Text(${field.fieldLength})`;
+    case 'encryptedstring':
+      return `Text (Encrypted)(${field.fieldLength})`;
+    case 'textarea':
+      if (field.extraTypeInfo === "richtextarea" || field.htmlFormatted) return `Rich Text Area(${field.fieldLength})`;
+      if (field.extraTypeInfo === "plaintextarea" && field.fieldLength > 255) return `Long Text Area(${field.fieldLength})`;
+      return `Text Area(${field.fieldLength})`;
     default:
-      return fieldType.charAt(0).toUpperCase() + fieldType.slice(1);
+      return FIELD_TYPE_LABELS[type] || type.charAt(0).toUpperCase() + type.slice(1);
+  }
+}
+
+// Map a describe field to the Salesforce-style type shown in Setup, e.g. "Master-Detail(Account)",
+// "Currency(16, 2)", "Formula (Percent)" or "Long Text Area(32768)".
+function mapFieldTypeForExport(field) {
+  if (field.autoNumber) return "Auto Number";
+  if (field.calculated) {
+    const returnType = mapBaseFieldType(field).replace(/\(.*\)$/, "");
+    if (field.calculatedFormula) return `Formula (${returnType})`;
+    // Custom roll-up summaries are calculated but have no formula in the describe.
+    if (field.custom) return `Roll-Up Summary (${returnType})`;
   }
+  return mapBaseFieldType(field);
 }
 
 // ---------------------
-// Export Routines
+// Export Columns
 // ---------------------
 
-// 1) Export fields of current object
-async function exportCurrentObjectFieldsToXLSX() {
-  showSpinner();
-  try {
-    const tableBody = await waitForElement("table tbody");
-    const rows = tableBody.querySelectorAll("tr");
-    let data = [];
-    data.push(["Field Label", "API Name", "Field Type", "Picklist Values"]);
-    rows.forEach(row => {
-      const cells = row.querySelectorAll("td");
-      if (cells.length < 3) return;
-      const fieldLabel = cells[0].innerText.trim();
-      const apiName = cells[1].innerText.trim();
-      const originalFieldType = cells[2].innerText.trim();
-      // Map field type using our helper; using a default length of 500 for current object fields
-      const mappedFieldType = mapFieldTypeForExport(originalFieldType, 500);
-      const picklistText = row.dataset.picklistText ? row.dataset.picklistText.trim() : "";
-      data.push([fieldLabel, apiName, mappedFieldType, picklistText]);
-    });
-    let wb = XLSX.utils.book_new();
-    const objectName = (await getObjectApiNameFromURL()) || "Object";
-    let sheetName = objectName.length > 31 ? objectName.substring(0, 31) : objectName;
-    let ws = XLSX.utils.aoa_to_sheet(data);
-    XLSX.utils.book_append_sheet(wb, ws, sheetName);
-    
-    const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-    const blob = new Blob([wbout], { type: "application/octet-stream" });
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = `${objectName}_fields_export.xlsx`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-  } catch (error) {
-    console.error("Error exporting current object fields to XLSX:", error);
-  } finally {
+function formatYesNo(value) {
+  return value ? "Yes" : "No";
+}
+
+// How each column in EXPORT_COLUMN_DEFINITIONS (exportColumns.js) is filled.
+const EXPORT_COLUMN_VALUES = {
+  label: { value: f => f.fieldLabel },
+  apiName: { value: f => f.fieldApiName },
+  type: { value: f => mapFieldTypeForExport(f) },
+  length: { value: f => f.fieldLength ? f.fieldLength : "" },
+  picklistValues: { value: f => f.picklistValues },
+  // A field is required on save when it is not nillable and Salesforce does not default it.
+  required: { value: f => formatYesNo(!f.nillable && f.createable && !f.defaultedOnCreate) },
+  unique: { value: f => formatYesNo(f.unique) },
+  externalId: { value: f => formatYesNo(f.externalId) },
+  defaultValue: {
+    value: f => f.defaultValue !== null && f.defaultValue !== undefined ? String(f.defaultValue) : (f.defaultValueFormula || "")
+  },
+  helpText: { value: f => f.inlineHelpText || "" },
+  formula: { value: f => f.calculatedFormula || "" },
+  referenceTo: { value: f => (f.referenceTo || []).join(", ") },
+  relationshipName: { value: f => f.relationshipName || "" },
+  cascadeDelete: { value: f => formatYesNo(f.cascadeDelete) },
+  encrypted: { value: f => formatYesNo(f.encrypted || f.fieldType === "encryptedstring") },
+  createable: { value: f => formatYesNo(f.createable) },
+  updateable: { value: f => formatYesNo(f.updateable) },
+  // Columns below need extra queries per object and are loaded by describeObjectForExport when selected.
+  referencedBy: { value: formatReferencedBy, load: loadFieldDependencies },
+  fillRate: { value: f => formatFillRate(f.fillRate), load: loadFieldFillRates }
+};
+
+// Every column the field exports can contain, in their default order.
+const EXPORT_COLUMNS = EXPORT_COLUMN_DEFINITIONS.map(column => ({ ...column, ...EXPORT_COLUMN_VALUES[column.key] }));
+
+// Named column sets offered in the export dialogs. "default" is the set chosen on the options page.
+const EXPORT_COLUMN_PRESETS = {
+  default: { label: "Default" },
+  standard: { label: "Standard", columns: ["label", "apiName", "type", "length", "picklistValues"] },
+  business: { label: "Business", columns: ["label", "apiName", "type", "required", "picklistValues", "helpText"] },
+  // Columns that need extra queries are left for the user to pick explicitly.
+  admin: { label: "Admin (all columns)", columns: EXPORT_COLUMNS.filter(c => !c.load).map(c => c.key) }
+};
+
+function getPresetColumns(presetKey) {
+  if (presetKey === "default") return extensionSettings.exportColumns || EXPORT_COLUMN_PRESETS.standard.columns;
+  return EXPORT_COLUMN_PRESETS[presetKey].columns;
+}
+
+// Every export column in the order set on the options page; columns missing from that order keep theirs at the end.
+function getOrderedExportColumns() {
+  const order = extensionSettings.exportColumnOrder || [];
+  const position = column => (order.includes(column.key) ? order.indexOf(column.key) : order.length);
+  return EXPORT_COLUMNS.slice().sort((a, b) => position(a) - position(b));
+}
+
+function getExportColumns(columnKeys) {
+  const keys = columnKeys && columnKeys.length ? columnKeys : getPresetColumns("default");
+  return getOrderedExportColumns().filter(c => keys.includes(c.key));
+}
+
+// Checkbox list of export columns with a preset selector; getSelectedColumns returns the checked keys in column order.
+function createColumnChooser(initialPreset = "default") {
+  const wrapper = document.createElement("div");
+  wrapper.style.cssText = "margin-bottom: 10px;";
+
+  const presetSelect = document.createElement("select");
+  presetSelect.style.cssText = "width: 100%; padding: 5px; margin-bottom: 5px; border: 1px solid #ccc; border-radius: 4px;";
+  Object.keys(EXPORT_COLUMN_PRESETS).forEach(key => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = EXPORT_COLUMN_PRESETS[key].label;
+    presetSelect.appendChild(option);
+  });
+  const custom = document.createElement("option");
+  custom.value = "custom";
+  custom.textContent = "Custom";
+  presetSelect.appendChild(custom);
+  presetSelect.value = initialPreset;
+  wrapper.appendChild(presetSelect);
+
+  const details = document.createElement("details");
+  const summary = document.createElement("summary");
+  summary.textContent = "Columns";
+  summary.style.cursor = "pointer";
+  details.appendChild(summary);
+  const checkboxes = getOrderedExportColumns().map(column => {
+    const label = document.createElement("label");
+    label.style.cssText = "display: block; margin-left: 10px;";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = column.key;
+    checkbox.checked = getPresetColumns(initialPreset).includes(column.key);
+    checkbox.addEventListener("change", () => { presetSelect.value = "custom"; });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(" " + column.header));
+    details.appendChild(label);
+    return checkbox;
+  });
+  wrapper.appendChild(details);
+
+  presetSelect.addEventListener("change", () => {
+    if (!EXPORT_COLUMN_PRESETS[presetSelect.value]) return;
+    const columns = getPresetColumns(presetSelect.value);
+    checkboxes.forEach(cb => { cb.checked = columns.includes(cb.value); });
+  });
+
+  return {
+    element: wrapper,
+    getSelectedColumns: () => checkboxes.filter(cb => cb.checked).map(cb => cb.value)
+  };
+}
+
+// Small dialog with export options, used by the detail-page export button.
+function showExportOptionsModal(titleText, onExport) {
+  if (document.getElementById("exportOptionsModal")) return;
+  const modal = document.createElement("div");
+  modal.id = "exportOptionsModal";
+  modal.style.cssText =
+    "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;";
+
+  const container = document.createElement("div");
+  container.style.cssText =
+    "background: white; padding: 20px; border-radius: 5px; max-height: 80%; overflow-y: auto; width: 300px;";
+  const title = document.createElement("h2");
+  title.innerText = titleText;
+  container.appendChild(title);
+
+  const optionsForm = createExportOptionsForm();
+  container.appendChild(optionsForm.element);
+
+  const buttons = document.createElement("div");
+  buttons.style.cssText = "display: flex; justify-content: space-between;";
+  const exportBtn = document.createElement("button");
+  exportBtn.innerText = "Export";
+  exportBtn.style.cssText = `padding: 5px 10px; background: ${getButtonColor()}; color: white; border: none; border-radius: 4px; cursor: pointer;`;
+  exportBtn.dataset.buttonColor = "true";
+  exportBtn.addEventListener("click", async () => {
+    const options = optionsForm.getOptions();
+    document.body.removeChild(modal);
+    await onExport(options);
+  });
+  const cancelBtn = document.createElement("button");
+  cancelBtn.innerText = "Cancel";
+  cancelBtn.style.cssText = "padding: 5px 10px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  cancelBtn.addEventListener("click", () => {
+    document.body.removeChild(modal);
+  });
+  buttons.appendChild(exportBtn);
+  buttons.appendChild(cancelBtn);
+  container.appendChild(buttons);
+
+  modal.appendChild(container);
+  document.body.appendChild(modal);
+}
+
+// Open the export options dialog for the object shown on the detail page.
+function openCurrentObjectExport() {
+  showExportOptionsModal("Export Object Fields", exportCurrentObjectFieldsToXLSX);
+}
+
+// ---------------------
+// Export Tables
+// ---------------------
+
+// Record type x value matrix: one row per picklist value, one column per record type.
+function buildRecordTypeMatrix(response) {
+  const data = response.recordTypePicklists;
+  if (!data || !data.recordTypes || data.recordTypes.length === 0) return [];
+  const recordTypeNames = data.recordTypes.map(rt => rt.name);
+  const rows = [["Field Label", "API Name", "Value", ...recordTypeNames]];
+  response.fields.forEach(field => {
+    const byRecordType = data.picklists[field.fieldApiName];
+    if (!byRecordType) return;
+    // Values in describe order, followed by any only the UI API reports.
+    const values = (field.picklistEntries || []).map(v => ({ label: v.label, value: v.value }));
+    recordTypeNames.forEach(name => (byRecordType[name] || []).forEach(v => {
+      if (!values.some(existing => existing.value === v.value)) values.push(v);
+    }));
+    values.forEach(v => {
+      rows.push([
+        field.fieldLabel,
+        field.fieldApiName,
+        v.label,
+        ...recordTypeNames.map(name => (byRecordType[name] || []).some(available => available.value === v.value) ? "✓" : "")
+      ]);
+    });
+  });
+  return rows.length > 1 ? [{ title: "Record Type Picklist Values", sheetSuffix: "RT", rows }] : [];
+}
+
+// Decode a dependent picklist value's validFor bitmap into the indexes of the controlling values it is valid
+// for. Bit i (most significant bit first) is set when the value is valid for controlling value i.
+function decodeValidFor(validFor) {
+  if (!validFor) return [];
+  const bytes = atob(validFor);
+  const indexes = [];
+  for (let i = 0; i < bytes.length * 8; i++) {
+    if (bytes.charCodeAt(i >> 3) & (0x80 >> (i % 8))) indexes.push(i);
+  }
+  return indexes;
+}
+
+// One matrix per dependent picklist: one row per dependent value, one column per controlling value.
+function buildDependencyMatrices(response) {
+  const tables = [];
+  response.fields.filter(field => field.controllerName).forEach(field => {
+    const controller = response.fields.find(f => f.fieldApiName === field.controllerName);
+    if (!controller) return;
+    // Checkbox controllers use index 0 for unchecked and 1 for checked.
+    const controllingLabels = controller.fieldType === "boolean"
+      ? ["Unchecked", "Checked"]
+      : (controller.picklistEntries || []).map(v => v.label);
+    const rows = [[`${field.fieldLabel} \\ ${controller.fieldLabel}`, ...controllingLabels]];
+    (field.picklistEntries || []).forEach(v => {
+      const valid = decodeValidFor(v.validFor);
+      rows.push([v.label, ...controllingLabels.map((label, i) => valid.includes(i) ? "✓" : "")]);
+    });
+    tables.push({
+      title: `Dependency: ${controller.fieldLabel} (${controller.fieldApiName}) → ${field.fieldLabel} (${field.fieldApiName})`,
+      sheetSuffix: `Dep ${tables.length + 1}`,
+      rows
+    });
+  });
+  return tables;
+}
+
+// Optional per-object tables added to exports. load(objectApiName, origin, response, batchId) adds extra data to
+// the describe response, passing batchId on so Cancel also stops its requests;
+// build returns the object's tables ({ title, sheetSuffix, rows } with a header row first).
+const EXPORT_TABLES = {
+  recordTypes: {
+    label: "Record type picklist matrix",
+    load: async (objectApiName, origin, response, batchId) => {
+      const result = await sendBackgroundMessage({ type: "fetchRecordTypePicklistValues", objectName: objectApiName, origin, batchId });
+      response.recordTypePicklists = result && result.success ? result : null;
+    },
+    build: buildRecordTypeMatrix
+  },
+  dependencies: {
+    label: "Field dependency matrices",
+    build: buildDependencyMatrices
+  },
+  picklistUsage: {
+    label: "Picklist value usage counts",
+    load: loadPicklistUsage,
+    build: buildPicklistUsageTable
+  }
+};
+
+// Describe an object and load the extra data the requested export tables and columns need.
+async function describeObjectForExport(objectApiName, { batchId, origin = window.location.origin, tables = [], columns } = {}) {
+  const response = await fetchObjectDescribeViaBackground(objectApiName, batchId, origin);
+  if (!response || !response.success) return response;
+  const loaders = [...tables.map(key => EXPORT_TABLES[key]), ...(columns ? getExportColumns(columns) : [])]
+    .filter(item => item && item.load);
+  for (const item of loaders) {
+    await item.load(objectApiName, origin, response, batchId);
+  }
+  return response;
+}
+
+// ---------------------
+// Export Formats
+// ---------------------
+
+const EXPORT_FORMATS = {
+  xlsx: { label: "Excel (XLSX)" },
+  csv: { label: "CSV (zipped for multiple objects)" },
+  json: { label: "JSON" },
+  markdown: { label: "Markdown" }
+};
+
+// Common field model shared by every export format: the chosen columns plus one entry per finished object,
+// in the original object order. Objects whose describe failed carry an error instead of rows.
+function buildExportModel(objects, results, columnKeys, tableKeys = []) {
+  const columns = getExportColumns(columnKeys);
+  const modelObjects = [];
+  objects.forEach((obj, index) => {
+    const response = results[index];
+    if (!response) return;
+    const entry = { objectLabel: obj.objectLabel, objectApiName: obj.objectApiName, rows: [], tables: [] };
+    if (response.success && response.fields) {
+      entry.rows = response.fields.map(field => columns.map(c => c.value(field)));
+      tableKeys.forEach(key => {
+        if (EXPORT_TABLES[key]) entry.tables.push(...EXPORT_TABLES[key].build(response));
+      });
+    } else {
+      entry.error = (response && response.error) || "Error fetching fields";
+    }
+    modelObjects.push(entry);
+  });
+  const described = results.find(r => r && r.apiVersion);
+  return {
+    org: window.location.hostname,
+    apiVersion: described ? described.apiVersion : "",
+    exportedAt: new Date().toISOString(),
+    columns,
+    objects: modelObjects
+  };
+}
+
+// Rows of one object's sheet: header plus field rows, or a single error row.
+function buildObjectSheetData(entry, columns) {
+  let data = [];
+  data.push(columns.map(c => c.header));
+  if (entry.error) {
+    const errorRow = columns.map(() => "");
+    errorRow[0] = entry.objectLabel;
+    if (errorRow.length > 1) errorRow[1] = entry.objectApiName;
+    if (errorRow.length > 2) errorRow[2] = "Error fetching fields";
+    data.push(errorRow);
+  } else {
+    data.push(...entry.rows);
+  }
+  return data;
+}
+
+const INDEX_SHEET_NAME = "Index";
+// Rows above the field header on each object sheet: back link and object name, then a spacer.
+const OBJECT_SHEET_HEADER_ROW = 3;
+// Rows above the object list on the index sheet: title, org, API version, export time and a spacer.
+const INDEX_SHEET_HEADER_ROW = 6;
+
+// Excel rejects these characters in sheet names.
+function sanitizeSheetName(name) {
+  const cleaned = (name || "Sheet").replace(/[\[\]:*?\/\\]/g, "_").replace(/^'+|'+$/g, "");
+  return cleaned.length > 31 ? cleaned.substring(0, 31) : cleaned;
+}
+
+function sheetLink(sheetName) {
+  return { Target: `#'${sheetName.replace(/'/g, "''")}'!A1` };
+}
+
+// Size columns to their longest value, within sensible bounds.
+function getColumnWidths(rows) {
+  const widths = [];
+  rows.forEach(row => row.forEach((value, i) => {
+    const length = value === null || value === undefined ? 0 : String(value).length;
+    widths[i] = Math.max(widths[i] || 0, length);
+  }));
+  return Array.from(widths, width => ({ wch: Math.min(Math.max((width || 0) + 2, 10), 60) }));
+}
+
+// Turn a block of rows starting at headerRow (1-based) into a filterable table.
+function addTableFeatures(ws, rows, headerRow) {
+  const lastCell = XLSX.utils.encode_cell({ r: headerRow - 1 + rows.length - 1, c: rows[0].length - 1 });
+  ws["!autofilter"] = { ref: `A${headerRow}:${lastCell}` };
+  ws["!cols"] = getColumnWidths(rows);
+}
+
+function buildModelWorkbook(model) {
+  let wb = XLSX.utils.book_new();
+  const usedSheetNames = [INDEX_SHEET_NAME];
+  const sheetLayouts = { [INDEX_SHEET_NAME]: { boldRows: [1, INDEX_SHEET_HEADER_ROW], freezeRows: INDEX_SHEET_HEADER_ROW } };
+
+  const indexRows = [["Object Label", "API Name", "Field Count", "Sheet"]];
+  const objectSheets = model.objects.map(entry => {
+    let sheetName = getUniqueSheetName(sanitizeSheetName(entry.objectLabel), usedSheetNames);
+    usedSheetNames.push(sheetName);
+    indexRows.push([entry.objectLabel, entry.objectApiName, entry.error ? `Error: ${entry.error}` : entry.rows.length, sheetName]);
+    return { entry, sheetName };
+  });
+
+  const indexSheet = XLSX.utils.aoa_to_sheet([
+    ["Salesforce Field Export"],
+    ["Org", model.org],
+    ["API Version", model.apiVersion],
+    ["Exported", new Date(model.exportedAt).toLocaleString()]
+  ]);
+  XLSX.utils.sheet_add_aoa(indexSheet, indexRows, { origin: `A${INDEX_SHEET_HEADER_ROW}` });
+  addTableFeatures(indexSheet, indexRows, INDEX_SHEET_HEADER_ROW);
+  objectSheets.forEach(({ sheetName }, i) => {
+    const cell = indexSheet[XLSX.utils.encode_cell({ r: INDEX_SHEET_HEADER_ROW + i, c: 3 })];
+    cell.l = sheetLink(sheetName);
+  });
+  XLSX.utils.book_append_sheet(wb, indexSheet, INDEX_SHEET_NAME);
+
+  objectSheets.forEach(({ entry, sheetName }) => {
+    const data = buildObjectSheetData(entry, model.columns);
+    let ws = XLSX.utils.aoa_to_sheet([["← Back to Index", entry.objectLabel, entry.objectApiName]]);
+    ws.A1.l = sheetLink(INDEX_SHEET_NAME);
+    XLSX.utils.sheet_add_aoa(ws, data, { origin: `A${OBJECT_SHEET_HEADER_ROW}` });
+    addTableFeatures(ws, data, OBJECT_SHEET_HEADER_ROW);
+    XLSX.utils.book_append_sheet(wb, ws, sheetName);
+    sheetLayouts[sheetName] = { boldRows: [OBJECT_SHEET_HEADER_ROW], freezeRows: OBJECT_SHEET_HEADER_ROW };
+
+    entry.tables.forEach(table => {
+      const suffix = ` ${table.sheetSuffix}`;
+      const tableSheetName = getUniqueSheetName(sanitizeSheetName(sheetName).substring(0, 31 - suffix.length) + suffix, usedSheetNames);
+      usedSheetNames.push(tableSheetName);
+      let tableSheet = XLSX.utils.aoa_to_sheet([["← Back to Index", `${entry.objectLabel}: ${table.title}`, entry.objectApiName]]);
+      tableSheet.A1.l = sheetLink(INDEX_SHEET_NAME);
+      XLSX.utils.sheet_add_aoa(tableSheet, table.rows, { origin: `A${OBJECT_SHEET_HEADER_ROW}` });
+      addTableFeatures(tableSheet, table.rows, OBJECT_SHEET_HEADER_ROW);
+      XLSX.utils.book_append_sheet(wb, tableSheet, tableSheetName);
+      sheetLayouts[tableSheetName] = { boldRows: [OBJECT_SHEET_HEADER_ROW], freezeRows: OBJECT_SHEET_HEADER_ROW };
+    });
+  });
+  return { wb, sheetLayouts };
+}
+
+// The SheetJS community build writes neither cell styles nor frozen panes, so the generated package is
+// patched directly: a bold font is added to styles.xml, applied to the listed rows, and a frozen pane
+// is placed below freezeRows on each sheet.
+function writeStyledWorkbook(wb, sheetLayouts) {
+  const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+  const zip = XLSX.CFB.read(new Uint8Array(wbout), { type: "array" });
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  const patchFile = (path, patch) => {
+    const file = XLSX.CFB.find(zip, path);
+    if (file) file.content = encoder.encode(patch(decoder.decode(file.content)));
+  };
+
+  let boldStyleId = 0;
+  patchFile("/xl/styles.xml", xml => {
+    let boldFontId = 0;
+    xml = xml.replace(/<fonts count="(\d+)">([\s\S]*?)<\/fonts>/, (match, count, fonts) => {
+      boldFontId = Number(count);
+      const boldFont = '<font><b/><sz val="12"/><color theme="1"/><name val="Calibri"/><family val="2"/><scheme val="minor"/></font>';
+      return `<fonts count="${boldFontId + 1}">${fonts}${boldFont}</fonts>`;
+    });
+    return xml.replace(/<cellXfs count="(\d+)">([\s\S]*?)<\/cellXfs>/, (match, count, xfs) => {
+      boldStyleId = Number(count);
+      const boldXf = `<xf numFmtId="0" fontId="${boldFontId}" fillId="0" borderId="0" xfId="0" applyFont="1"/>`;
+      return `<cellXfs count="${boldStyleId + 1}">${xfs}${boldXf}</cellXfs>`;
+    });
+  });
+
+  wb.SheetNames.forEach((sheetName, index) => {
+    const layout = sheetLayouts[sheetName];
+    if (!layout) return;
+    patchFile(`/xl/worksheets/sheet${index + 1}.xml`, xml => {
+      layout.boldRows.forEach(rowNumber => {
+        xml = xml.replace(new RegExp(`<row r="${rowNumber}"[^>]*>[\\s\\S]*?<\\/row>`), row =>
+          row.replace(/<c r=/g, `<c s="${boldStyleId}" r=`));
+      });
+      const pane = `<pane ySplit="${layout.freezeRows}" topLeftCell="A${layout.freezeRows + 1}" activePane="bottomLeft" state="frozen"/>`;
+      return xml.replace('<sheetView workbookViewId="0"/>', `<sheetView workbookViewId="0">${pane}<selection pane="bottomLeft"/></sheetView>`);
+    });
+  });
+  return XLSX.CFB.write(zip, { fileType: "zip", type: "array" });
+}
+
+function toCsv(rows) {
+  return rows.map(row => row.map(value => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(",")).join("\r\n");
+}
+
+function buildExportJson(model) {
+  return JSON.stringify({
+    org: model.org,
+    apiVersion: model.apiVersion,
+    exportedAt: model.exportedAt,
+    objects: model.objects.map(entry => ({
+      label: entry.objectLabel,
+      apiName: entry.objectApiName,
+      ...(entry.error
+        ? { error: entry.error }
+        : {
+          fields: entry.rows.map(row => Object.fromEntries(model.columns.map((c, i) => [c.key, row[i]]))),
+          tables: entry.tables.map(table => ({
+            title: table.title,
+            rows: table.rows.slice(1).map(row => Object.fromEntries(table.rows[0].map((header, i) => [header, row[i]])))
+          }))
+        })
+    }))
+  }, null, 2);
+}
+
+function escapeMarkdownCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return text.replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+}
+
+// Markdown lines for a header row followed by data rows.
+function markdownTable(rows) {
+  const [header, ...body] = rows;
+  return [
+    `| ${header.map(escapeMarkdownCell).join(" | ")} |`,
+    `| ${header.map(() => "---").join(" | ")} |`,
+    ...body.map(row => `| ${row.map(escapeMarkdownCell).join(" | ")} |`)
+  ];
+}
+
+function buildExportMarkdown(model) {
+  const lines = [];
+  model.objects.forEach(entry => {
+    lines.push(`## ${escapeMarkdownCell(entry.objectLabel)} (\`${entry.objectApiName}\`)`, "");
+    if (entry.error) {
+      lines.push(`_Error fetching fields: ${escapeMarkdownCell(entry.error)}_`, "");
+      return;
+    }
+    lines.push(...markdownTable([model.columns.map(c => c.header), ...entry.rows]), "");
+    entry.tables.forEach(table => {
+      lines.push(`### ${escapeMarkdownCell(table.title)}`, "", ...markdownTable(table.rows), "");
+    });
+  });
+  return lines.join("\n");
+}
+
+// Zip several text files into one archive using the zip writer bundled with SheetJS.
+function buildZip(files) {
+  const zip = XLSX.CFB.utils.cfb_new();
+  const encoder = new TextEncoder();
+  files.forEach(file => XLSX.CFB.utils.cfb_add(zip, "/" + file.name, encoder.encode(file.content)));
+  return XLSX.CFB.write(zip, { fileType: "zip", type: "array" });
+}
+
+function downloadBlob(blob, fileName) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+// Serialize the model in the requested format and download it; baseName has no extension.
+function downloadExportModel(model, format, baseName) {
+  switch (format) {
+    case "csv": {
+      const files = [];
+      model.objects.forEach(entry => {
+        files.push({ name: `${entry.objectApiName}.csv`, content: toCsv(buildObjectSheetData(entry, model.columns)) });
+        entry.tables.forEach(table => {
+          files.push({ name: `${entry.objectApiName}_${table.sheetSuffix.replace(/\W+/g, "_")}.csv`, content: toCsv(table.rows) });
+        });
+      });
+      if (files.length === 1) {
+        downloadBlob(new Blob([files[0].content], { type: "text/csv" }), `${baseName}.csv`);
+      } else {
+        downloadBlob(new Blob([buildZip(files)], { type: "application/zip" }), `${baseName}.zip`);
+      }
+      break;
+    }
+    case "json":
+      downloadBlob(new Blob([buildExportJson(model)], { type: "application/json" }), `${baseName}.json`);
+      break;
+    case "markdown":
+      downloadBlob(new Blob([buildExportMarkdown(model)], { type: "text/markdown" }), `${baseName}.md`);
+      break;
+    default: {
+      const { wb, sheetLayouts } = buildModelWorkbook(model);
+      const wbout = writeStyledWorkbook(wb, sheetLayouts);
+      downloadBlob(new Blob([wbout], { type: "application/octet-stream" }), `${baseName}.xlsx`);
+    }
+  }
+}
+
+// Format selector plus column chooser; getOptions returns { format, columns }.
+function createExportOptionsForm() {
+  const wrapper = document.createElement("div");
+  const formatSelect = document.createElement("select");
+  formatSelect.style.cssText = "width: 100%; padding: 5px; margin-bottom: 5px; border: 1px solid #ccc; border-radius: 4px;";
+  Object.keys(EXPORT_FORMATS).forEach(key => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = EXPORT_FORMATS[key].label;
+    formatSelect.appendChild(option);
+  });
+  wrapper.appendChild(formatSelect);
+  const columnChooser = createColumnChooser();
+  wrapper.appendChild(columnChooser.element);
+  const tableCheckboxes = Object.keys(EXPORT_TABLES).map(key => {
+    const label = document.createElement("label");
+    label.style.cssText = "display: block; margin-bottom: 5px;";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = key;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(" " + EXPORT_TABLES[key].label));
+    wrapper.appendChild(label);
+    return checkbox;
+  });
+  return {
+    element: wrapper,
+    getOptions: () => ({
+      format: formatSelect.value,
+      columns: columnChooser.getSelectedColumns(),
+      tables: tableCheckboxes.filter(cb => cb.checked).map(cb => cb.value)
+    })
+  };
+}
+
+// ---------------------
+// Export Routines
+// ---------------------
+
+// 1) Export fields of current object
+async function exportCurrentObjectFieldsToXLSX(options = {}) {
+  showSpinner();
+  try {
+    const objectName = (await getObjectApiNameFromURL()) || "Object";
+    const response = await describeObjectForExport(objectName, { tables: options.tables, columns: options.columns });
+    if (!response || !response.success) {
+      reportApiError(`Could not export ${objectName}`, response);
+      return;
+    }
+    const model = buildExportModel(
+      [{ objectLabel: response.label || objectName, objectApiName: objectName }],
+      [response],
+      options.columns,
+      options.tables
+    );
+    downloadExportModel(model, options.format, buildExportFileName(objectName));
+  } catch (error) {
+    console.error("Error exporting current object fields:", error);
+  } finally {
+    hideSpinner();
+  }
+}
+
+// Number of object describes requested at the same time during multi-object exports.
+const EXPORT_CONCURRENCY = 4;
+
+// origin defaults to the current org; pass another org's origin to describe it with that org's session.
+function fetchObjectDescribeViaBackground(objectApiName, batchId, origin = window.location.origin) {
+  return new Promise(resolve => {
+    chrome.runtime.sendMessage(
+      {
+        type: "fetchObjectDescribe",
+        objectApiName,
+        origin,
+        batchId
+      },
+      resolve
+    );
+  });
+}
+
+// Run an async worker over items with at most `limit` workers in flight; stops scheduling once cancelled.
+async function runWithConcurrency(items, limit, worker, isCancelled) {
+  let next = 0;
+  async function lane() {
+    while (next < items.length && !isCancelled()) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  }
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, lane);
+  await Promise.all(lanes);
+}
+
+// Progress panel shown while a multi-object export or snapshot runs.
+function createExportProgressPanel(total, { title: titleText = "Exporting Objects", onCancel, onDownloadPartial }) {
+  const existing = document.getElementById("exportProgressPanel");
+  if (existing) existing.remove();
+
+  const panel = document.createElement("div");
+  panel.id = "exportProgressPanel";
+  panel.style.cssText =
+    "position: fixed; bottom: 20px; right: 20px; width: 340px; background: white; border: 1px solid #ccc; border-radius: 5px; box-shadow: 0 2px 8px rgba(0,0,0,0.3); padding: 15px; z-index: 10000; font-size: 13px;";
+
+  const title = document.createElement("h2");
+  title.innerText = titleText;
+  title.style.cssText = "margin: 0 0 10px; font-size: 16px;";
+  panel.appendChild(title);
+
+  const barTrack = document.createElement("div");
+  barTrack.style.cssText = "height: 8px; background: #f3f3f3; border-radius: 4px; overflow: hidden;";
+  const bar = document.createElement("div");
+  bar.style.cssText = `height: 100%; width: 0; background: ${getButtonColor()}; transition: width 0.2s;`;
+  bar.dataset.buttonColor = "true";
+  barTrack.appendChild(bar);
+  panel.appendChild(barTrack);
+
+  const counter = document.createElement("div");
+  counter.style.cssText = "margin-top: 8px; font-weight: bold;";
+  panel.appendChild(counter);
+
+  const current = document.createElement("div");
+  current.style.cssText = "margin-top: 4px; color: #555; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;";
+  panel.appendChild(current);
+
+  const failures = document.createElement("ul");
+  failures.style.cssText = "margin: 8px 0 0; padding-left: 18px; max-height: 120px; overflow-y: auto; color: #c23934;";
+  panel.appendChild(failures);
+
+  const buttons = document.createElement("div");
+  buttons.style.cssText = "display: flex; justify-content: flex-end; margin-top: 10px;";
+  const partialBtn = document.createElement("button");
+  partialBtn.innerText = "Download Partial";
+  partialBtn.style.cssText = `padding: 5px; background: ${getButtonColor()}; color: white; border: none; border-radius: 4px; cursor: pointer;`;
+  partialBtn.dataset.buttonColor = "true";
+  partialBtn.addEventListener("click", onDownloadPartial);
+  if (!onDownloadPartial) partialBtn.style.display = "none";
+  const cancelBtn = document.createElement("button");
+  cancelBtn.innerText = "Cancel";
+  cancelBtn.style.cssText = "padding: 5px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer; margin-left: 10px;";
+  cancelBtn.addEventListener("click", () => {
+    if (cancelBtn.innerText === "Close") {
+      panel.remove();
+    } else {
+      onCancel();
+    }
+  });
+  buttons.appendChild(partialBtn);
+  buttons.appendChild(cancelBtn);
+  panel.appendChild(buttons);
+  document.body.appendChild(panel);
+
+  return {
+    update(done, inFlight) {
+      bar.style.width = `${total ? Math.round((done / total) * 100) : 100}%`;
+      counter.innerText = `${done} of ${total} objects`;
+      current.innerText = inFlight.length ? `Current: ${inFlight.join(", ")}` : "";
+    },
+    addFailure(obj, error) {
+      const item = document.createElement("li");
+      item.innerText = `${obj.objectLabel} (${obj.objectApiName}): ${error || "Unknown error"}`;
+      failures.appendChild(item);
+    },
+    // Offer to retry the failed objects. Resolves true for Retry Failed and false for Continue, which
+    // carries on with the failures reported in the results.
+    askRetry(failedCount, sessionExpired) {
+      title.innerText = `${failedCount} object${failedCount === 1 ? "" : "s"} failed`;
+      current.innerText = sessionExpired
+        ? "Your Salesforce session has expired. Log in again in this browser, then retry."
+        : "Retry only the failed objects, or continue without them.";
+      current.style.whiteSpace = "normal";
+      partialBtn.style.display = "none";
+      cancelBtn.style.display = "none";
+      return new Promise(resolve => {
+        const choice = document.createElement("div");
+        choice.style.cssText = "display: flex; justify-content: flex-end; margin-top: 10px;";
+        const retryBtn = createOverlayButton("Retry Failed", () => { choice.remove(); resolve(true); });
+        const continueBtn = createOverlayButton("Continue", () => { choice.remove(); resolve(false); }, "#aaa");
+        choice.appendChild(retryBtn);
+        choice.appendChild(continueBtn);
+        panel.appendChild(choice);
+      });
+    },
+    // Prepare the panel for another run after askRetry.
+    restart(titleTextForRun) {
+      title.innerText = titleTextForRun;
+      current.style.whiteSpace = "nowrap";
+      failures.innerHTML = "";
+      if (onDownloadPartial) partialBtn.style.display = "";
+      cancelBtn.style.display = "";
+    },
+    finish(message) {
+      title.innerText = message;
+      current.innerText = "";
+      cancelBtn.innerText = "Close";
+      if (!failures.children.length) setTimeout(() => panel.remove(), 3000);
+    }
+  };
+}
+
+// Objects worth retrying; an object the org does not have (notFound) fails the same way every time, and the daily
+// API limit (dailyLimitExceeded) does not reset within the export.
+function failedIndexes(results) {
+  const retryable = result => result && !result.success && !["notFound", "dailyLimitExceeded"].includes(result.errorKind);
+  return results.reduce((failed, result, index) => (retryable(result) ? failed.concat(index) : failed), []);
+}
+
+// Describe objects with bounded concurrency behind a progress panel. Resolves with one result per object
+// (undefined for objects that never finished) once every object is done or the run is cancelled.
+async function describeObjectsWithProgress(objects, { title, onDownloadPartial, origin, tables, columns } = {}) {
+  const batchId = `export-${Date.now()}`;
+  const results = new Array(objects.length);
+  const inFlight = new Set();
+  let done = 0;
+  let cancelled = false;
+
+  const panel = createExportProgressPanel(objects.length, {
+    title,
+    onCancel: () => {
+      cancelled = true;
+      chrome.runtime.sendMessage({ type: "cancelBatch", batchId });
+    },
+    onDownloadPartial: onDownloadPartial && (() => onDownloadPartial(results))
+  });
+  panel.update(0, []);
+
+  const describeIndexes = indexes => runWithConcurrency(indexes, EXPORT_CONCURRENCY, async index => {
+    const obj = objects[index];
+    inFlight.add(obj.objectLabel);
+    panel.update(done, Array.from(inFlight));
+    const response = await describeObjectForExport(obj.objectApiName, { batchId, origin, tables, columns });
+    inFlight.delete(obj.objectLabel);
+    // Requests aborted by Cancel are left out of the results rather than reported as failures.
+    if (cancelled) return;
+    results[index] = response || { success: false, error: "No response from background." };
+    if (!results[index].success) panel.addFailure(obj, results[index].error);
+    done++;
+    panel.update(done, Array.from(inFlight));
+  }, () => cancelled);
+
+  await describeIndexes(objects.map((obj, index) => index));
+
+  // Rather than finishing with "Error fetching fields" rows, offer to retry just the objects that failed.
+  let failed = failedIndexes(results);
+  while (!cancelled && failed.length) {
+    const sessionExpired = failed.some(index => results[index].errorKind === "sessionExpired");
+    if (!(await panel.askRetry(failed.length, sessionExpired))) break;
+    panel.restart(title || "Exporting Objects");
+    done -= failed.length;
+    panel.update(done, []);
+    await describeIndexes(failed);
+    failed = failedIndexes(results);
+  }
+
+  if (cancelled) panel.finish(`Cancelled after ${done} of ${objects.length} objects`);
+  return { results, cancelled, panel };
+}
+
+// Describe the given objects and download them in the chosen format.
+// The export can be cancelled from the progress panel, and whatever has finished can be downloaded at any time.
+async function exportObjects(objects, baseName, options = {}) {
+  const { results, cancelled, panel } = await describeObjectsWithProgress(objects, {
+    title: "Exporting Objects",
+    tables: options.tables,
+    columns: options.columns,
+    onDownloadPartial: partial =>
+      downloadExportModel(buildExportModel(objects, partial, options.columns, options.tables), options.format, `${baseName}_partial`)
+  });
+  if (cancelled) return;
+  downloadExportModel(buildExportModel(objects, results, options.columns, options.tables), options.format, baseName);
+  panel.finish("Export Complete");
+}
+
+// Every object in the current org from the global describe (see listObjects in background.js), sorted by label.
+async function fetchOrgObjects() {
+  const response = await sendBackgroundMessage({ type: "listObjects", origin: window.location.origin });
+  if (!response || !response.success) {
+    reportApiError("Could not load the object list", response);
+    return [];
+  }
+  return response.objects.sort((a, b) => a.objectLabel.localeCompare(b.objectLabel));
+}
+
+// Roughly the objects Object Manager lists, used when exporting or snapshotting all objects.
+async function listObjectManagerObjects() {
+  return (await fetchOrgObjects()).filter(obj => obj.layoutable);
+}
+
+// 2) Export all objects from the home page
+async function exportFullDatabaseToXLSX(options = {}) {
+  showSpinner();
+  let objects;
+  try {
+    objects = await listObjectManagerObjects();
+  } catch (error) {
+    console.error("Error exporting full database to XLSX:", error);
+    return;
+  } finally {
+    hideSpinner();
+  }
+  if (objects.length === 0) {
+    console.error("No objects found in the org.");
+    return;
+  }
+  try {
+    await exportObjects(objects, buildExportFileName("salesforce_objects"), options);
+  } catch (error) {
+    console.error("Error exporting full database to XLSX:", error);
+  }
+}
+
+// 3) Export only selected objects (used by the modal)
+async function exportSelectedObjectsToXLSX(selectedObjects, options = {}) {
+  try {
+    await exportObjects(selectedObjects, buildExportFileName("selected_salesforce_objects"), options);
+  } catch (error) {
+    console.error("Error exporting selected objects:", error);
+  }
+}
+
+// ---------------------
+// Inline Export Button (Detail Page)
+// ---------------------
+function addInlineExportButton(parentContainer) {
+  if (document.getElementById("exportDetailXLSXButton")) return;
+  
+  const exportButton = document.createElement("button");
+  exportButton.id = "exportDetailXLSXButton";
+  exportButton.textContent = "Export XLSX";
+  exportButton.style.cssText =
+    `background-color: ${getButtonColor()}; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;`;
+  exportButton.dataset.buttonColor = "true";
+  exportButton.addEventListener("click", openCurrentObjectExport);
+  parentContainer.appendChild(exportButton);
+}
+
+// ---------------------
+// Clear Cache Button
+// ---------------------
+// Cached describes are revalidated automatically; this forces a full reload after a metadata deploy, including a
+// rebuild of the field search index when it is shown.
+function addClearCacheButton(parentContainer) {
+  if (document.getElementById("clearDescribeCacheButton")) return;
+
+  const clearButton = document.createElement("button");
+  clearButton.id = "clearDescribeCacheButton";
+  clearButton.textContent = "Clear Cache";
+  clearButton.title = "Discard cached object describes for this org";
+  clearButton.style.cssText =
+    "background-color: #706e6b; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;";
+  clearButton.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ type: "clearDescribeCache", origin: window.location.origin }, response => {
+      if (response && response.success) {
+        console.log(`Cleared ${response.removed} cached describes.`);
+        recordTypePicklistCache.clear();
+        clearButton.textContent = "Cache Cleared";
+        setTimeout(() => { clearButton.textContent = "Clear Cache"; }, 2000);
+        if (document.getElementById("fieldSearchResults")) {
+          loadFieldSearchIndex(true).catch(error => console.error("Error loading field index:", error));
+        }
+      } else {
+        console.error("Error clearing describe cache:", response && response.error);
+      }
+    });
+  });
+  parentContainer.appendChild(clearButton);
+}
+
+// ---------------------
+// Modal for selecting objects to export
+// ---------------------
+// Object kinds from listObjects in background.js, for the export modal's kind filter.
+const OBJECT_KIND_FILTERS = {
+  standardCustom: { label: "Standard and custom objects", kinds: ["standard", "custom"] },
+  standard: { label: "Standard objects", kinds: ["standard"] },
+  custom: { label: "Custom objects", kinds: ["custom"] },
+  mdt: { label: "Custom metadata types", kinds: ["mdt"] },
+  event: { label: "Platform and change events", kinds: ["event"] },
+  share: { label: "Sharing objects", kinds: ["share"] },
+  history: { label: "History objects", kinds: ["history"] },
+  feed: { label: "Feed objects", kinds: ["feed"] },
+  all: { label: "All kinds", kinds: null }
+};
+
+// Search box, custom-only checkbox, namespace and kind selects for the export modal. matches(obj) tells
+// whether an object passes every filter; onChange(callback) runs callback whenever one changes.
+function createObjectFilters(objects) {
+  const wrapper = document.createElement("div");
+  wrapper.style.cssText = "margin-bottom: 10px;";
+  const inputStyle = "width: 100%; padding: 5px; margin-bottom: 5px; border: 1px solid #ccc; border-radius: 4px;";
+
+  const searchInput = document.createElement("input");
+  searchInput.type = "text";
+  searchInput.placeholder = "Search objects...";
+  searchInput.style.cssText = inputStyle;
+  wrapper.appendChild(searchInput);
+
+  const kindSelect = document.createElement("select");
+  kindSelect.style.cssText = inputStyle;
+  Object.keys(OBJECT_KIND_FILTERS).forEach(key => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = OBJECT_KIND_FILTERS[key].label;
+    kindSelect.appendChild(option);
+  });
+  wrapper.appendChild(kindSelect);
+
+  const namespaceSelect = document.createElement("select");
+  namespaceSelect.style.cssText = inputStyle;
+  const namespaces = Array.from(new Set(objects.map(obj => obj.namespace).filter(Boolean))).sort();
+  [["", "All namespaces"], ["-", "No namespace"], ...namespaces.map(ns => [ns, ns])].forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    namespaceSelect.appendChild(option);
+  });
+  wrapper.appendChild(namespaceSelect);
+
+  const customOnlyLabel = document.createElement("label");
+  customOnlyLabel.style.cssText = "display: block;";
+  const customOnly = document.createElement("input");
+  customOnly.type = "checkbox";
+  customOnlyLabel.appendChild(customOnly);
+  customOnlyLabel.appendChild(document.createTextNode(" Custom only"));
+  wrapper.appendChild(customOnlyLabel);
+
+  return {
+    element: wrapper,
+    matches(obj) {
+      const search = searchInput.value.trim().toLowerCase();
+      const kinds = OBJECT_KIND_FILTERS[kindSelect.value].kinds;
+      const namespace = namespaceSelect.value;
+      return (!search || `${obj.objectLabel} ${obj.objectApiName}`.toLowerCase().includes(search)) &&
+        (!kinds || kinds.includes(obj.kind)) &&
+        (!namespace || (namespace === "-" ? !obj.namespace : obj.namespace === namespace)) &&
+        (!customOnly.checked || obj.custom);
+    },
+    onChange(callback) {
+      searchInput.addEventListener("input", callback);
+      [kindSelect, namespaceSelect, customOnly].forEach(el => el.addEventListener("change", callback));
+    }
+  };
+}
+
+async function showExportSelectionModal() {
+  try {
+    showSpinner(); // Show spinner while building the modal
+    const objects = await fetchOrgObjects();
+    if (objects.length === 0) {
+      hideSpinner();
+      return;
+    }
+    // Create modal overlay
+    const modal = document.createElement("div");
+    modal.id = "exportSelectionModal";
+    modal.style.cssText =
+      "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;";
+    
+    const container = document.createElement("div");
+    container.style.cssText =
+      "background: white; padding: 20px; border-radius: 5px; max-height: 80%; overflow-y: auto; width: 300px;";
+    
+    const title = document.createElement("h2");
+    title.innerText = "Select Objects to Export";
+    container.appendChild(title);
+
+    const getSelectedObjects = () => {
+      const selectedCheckboxes = container.querySelectorAll("label.exportObjectOption > input[type='checkbox']:checked");
+      const selectedObjects = [];
+      selectedCheckboxes.forEach(cb => {
+        const apiName = cb.value;
+        const correspondingObj = objects.find(o => o.objectApiName === apiName);
+        if (correspondingObj) {
+          selectedObjects.push(correspondingObj);
+        }
+      });
+      return selectedObjects;
+    };
+    
+    // Header with toggle, Export Selected, and Cancel
+    const headerContainer = document.createElement("div");
+    headerContainer.style.cssText = "display: flex; justify-content: space-between; margin-bottom: 10px;";
+    
+    const toggleBtn = document.createElement("button");
+    toggleBtn.innerText = "Select All";
+    toggleBtn.style.cssText = `padding: 5px; background: ${getButtonColor()}; color: white; border: none; border-radius: 4px; cursor: pointer;`;
+    toggleBtn.dataset.buttonColor = "true";
+    // Updated toggle button event listener to only target visible (filtered) checkboxes:
+    toggleBtn.addEventListener("click", () => {
+      const checkboxes = Array.from(container.querySelectorAll("label.exportObjectOption > input[type='checkbox']"))
+        .filter(cb => window.getComputedStyle(cb.parentElement).display !== "none");
+      const allChecked = checkboxes.every(cb => cb.checked);
+      checkboxes.forEach(cb => { cb.checked = !allChecked; });
+      toggleBtn.innerText = allChecked ? "Select All" : "Deselect All";
+    });
+    
+    const headerExportBtn = document.createElement("button");
+    headerExportBtn.innerText = "Export Selected";
+    headerExportBtn.style.cssText = `padding: 5px; background: ${getButtonColor()}; color: white; border: none; border-radius: 4px; cursor: pointer;`;
+    headerExportBtn.dataset.buttonColor = "true";
+    headerExportBtn.addEventListener("click", async () => {
+      const selectedObjects = getSelectedObjects();
+      document.body.removeChild(modal);
+      await exportSelectedObjectsToXLSX(selectedObjects, optionsForm.getOptions());
+    });
+    
+    const headerCancelBtn = document.createElement("button");
+    headerCancelBtn.innerText = "Cancel";
+    headerCancelBtn.style.cssText = "padding: 5px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer;";
+    headerCancelBtn.addEventListener("click", () => {
+      document.body.removeChild(modal);
+    });
+    
+    headerContainer.appendChild(toggleBtn);
+    headerContainer.appendChild(headerExportBtn);
+    headerContainer.appendChild(headerCancelBtn);
+    container.appendChild(headerContainer);
+    
+    // Format and column selection shared by the export buttons
+    const optionsForm = createExportOptionsForm();
+    container.appendChild(optionsForm.element);
+
+    // Search and object filters
+    const filters = createObjectFilters(objects);
+    container.appendChild(filters.element);
+    
+    // List objects with checkboxes
+    const objectLabels = objects.map(obj => {
+      const label = document.createElement("label");
+      label.className = "exportObjectOption";
+      label.style.display = "block";
+      label.style.marginBottom = "5px";
+      label.title = obj.objectApiName;
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = obj.objectApiName;
+      checkbox.checked = false;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${obj.objectLabel} (${obj.objectApiName})`));
+      container.appendChild(label);
+      return label;
+    });
+    const applyFilters = () => {
+      objects.forEach((obj, index) => {
+        objectLabels[index].style.display = filters.matches(obj) ? "block" : "none";
+      });
+    };
+    filters.onChange(applyFilters);
+    applyFilters();
+    
+    // Bottom Export Selected
+    const bottomExportBtn = document.createElement("button");
+    bottomExportBtn.innerText = "Export Selected";
+    bottomExportBtn.style.cssText =
+      `margin-top: 10px; padding: 5px 10px; background: ${getButtonColor()}; color: white; border: none; border-radius: 4px; cursor: pointer; width: 100%;`;
+    bottomExportBtn.dataset.buttonColor = "true";
+    bottomExportBtn.addEventListener("click", async () => {
+      const selectedObjects = getSelectedObjects();
+      document.body.removeChild(modal);
+      await exportSelectedObjectsToXLSX(selectedObjects, optionsForm.getOptions());
+    });
+    container.appendChild(bottomExportBtn);
+
+    // Export every object in the org, regardless of the selection
+    const exportAllBtn = document.createElement("button");
+    exportAllBtn.innerText = "Export All Objects";
+    exportAllBtn.style.cssText =
+      "margin-top: 5px; padding: 5px 10px; background: #706e6b; color: white; border: none; border-radius: 4px; cursor: pointer; width: 100%;";
+    exportAllBtn.addEventListener("click", async () => {
+      const options = optionsForm.getOptions();
+      document.body.removeChild(modal);
+      await exportFullDatabaseToXLSX(options);
+    });
+    container.appendChild(exportAllBtn);
+
+    // Save a schema snapshot of the selected objects instead of exporting them
+    const snapshotBtn = document.createElement("button");
+    snapshotBtn.innerText = "Snapshot Selected";
+    snapshotBtn.style.cssText =
+      "margin-top: 5px; padding: 5px 10px; background: #706e6b; color: white; border: none; border-radius: 4px; cursor: pointer; width: 100%;";
+    snapshotBtn.addEventListener("click", async () => {
+      const selectedObjects = getSelectedObjects();
+      if (selectedObjects.length === 0) return;
+      document.body.removeChild(modal);
+      await captureSnapshot(selectedObjects, `${selectedObjects.length} selected objects`);
+    });
+    container.appendChild(snapshotBtn);
+
+    // Compare the selected objects between two orgs
+    const compareOrgsBtn = document.createElement("button");
+    compareOrgsBtn.innerText = "Compare Selected Across Orgs";
+    compareOrgsBtn.style.cssText =
+      "margin-top: 5px; padding: 5px 10px; background: #706e6b; color: white; border: none; border-radius: 4px; cursor: pointer; width: 100%;";
+    compareOrgsBtn.addEventListener("click", async () => {
+      const selectedObjects = getSelectedObjects();
+      if (selectedObjects.length === 0) return;
+      document.body.removeChild(modal);
+      await showOrgComparisonDialog(selectedObjects);
+    });
+    container.appendChild(compareOrgsBtn);
+
+    // Draw the relationships between the selected objects
+    const diagramBtn = document.createElement("button");
+    diagramBtn.innerText = "Show Diagram";
+    diagramBtn.style.cssText =
+      "margin-top: 5px; padding: 5px 10px; background: #706e6b; color: white; border: none; border-radius: 4px; cursor: pointer; width: 100%;";
+    diagramBtn.addEventListener("click", async () => {
+      const selectedObjects = getSelectedObjects();
+      if (selectedObjects.length === 0) return;
+      document.body.removeChild(modal);
+      await showObjectDiagram(selectedObjects);
+    });
+    container.appendChild(diagramBtn);
+    
+    modal.appendChild(container);
+    hideSpinner(); // Hide spinner once modal is ready
+    document.body.appendChild(modal);
+  } catch (error) {
+    console.error("Error showing export selection modal:", error);
     hideSpinner();
   }
 }
 
-// 2) Export all objects from the home page
-async function exportFullDatabaseToXLSX() {
-  showSpinner();
-  try {
-    const tableBody = await waitForElement("table tbody");
-    const rows = Array.from(tableBody.querySelectorAll("tr"));
-    if (rows.length === 0) {
-      console.error("No objects found on the home page.");
+// ---------------------
+// Schema Snapshots
+// ---------------------
+
+// Reduce describe results to what the diff compares: label, rendered type, length, picklist values and help text per field.
+// Objects whose describe failed are kept in errors (API name -> message) so the diff does not mistake them for removed.
+// Only objects the org does not have (a NOT_FOUND describe) are left out, which the diff reports as added/removed.
+function buildSnapshot(objects, results, name, org = window.location.hostname) {
+  const snapshotObjects = {};
+  const errors = {};
+  objects.forEach((obj, index) => {
+    const response = results[index];
+    if (!response || response.errorKind === "notFound") return;
+    if (!response.success) {
+      errors[obj.objectApiName] = response.error || "Unknown error";
+      return;
+    }
+    const fields = {};
+    response.fields.forEach(field => {
+      fields[field.fieldApiName] = {
+        label: field.fieldLabel,
+        type: mapFieldTypeForExport(field),
+        length: field.fieldLength || "",
+        picklistValues: (field.picklistEntries || []).map(v => v.value),
+        helpText: field.inlineHelpText || ""
+      };
+    });
+    snapshotObjects[obj.objectApiName] = { label: response.label || obj.objectLabel, fields };
+  });
+  return {
+    name,
+    org,
+    createdAt: new Date().toISOString(),
+    objects: snapshotObjects,
+    errors
+  };
+}
+
+// Describe the objects and store the result as a snapshot in the background worker.
+async function captureSnapshot(objects, name) {
+  const { results, cancelled, panel } = await describeObjectsWithProgress(objects, { title: "Saving Snapshot" });
+  if (cancelled) return;
+  const snapshot = buildSnapshot(objects, results, name);
+  const response = await sendBackgroundMessage({ type: "saveSnapshot", snapshot });
+  if (response && response.success) {
+    const failed = Object.keys(snapshot.errors).length;
+    panel.finish(`Snapshot saved (${Object.keys(snapshot.objects).length} objects${failed ? `, ${failed} failed` : ""})`);
+  } else {
+    panel.finish("Snapshot failed");
+    console.error("Error saving snapshot:", response && response.error);
+  }
+}
+
+// Compare two snapshots. Returns one change row per added/removed object or field, type, length or help text
+// change, and added/removed picklist value. wording names the two sides, e.g. "only in production".
+// Objects that failed to describe on either side are reported as "Could not compare" with the error.
+function diffSnapshots(older, newer, wording = { added: "added", removed: "removed" }) {
+  const changes = [];
+  const push = (objectApiName, objectLabel, fieldApiName, change, before, after) =>
+    changes.push({ objectApiName, objectLabel, fieldApiName, change, before, after });
+  // Snapshots saved before failures were recorded have no errors.
+  const olderErrors = older.errors || {};
+  const newerErrors = newer.errors || {};
+
+  const objectNames = new Set([
+    ...Object.keys(older.objects), ...Object.keys(newer.objects), ...Object.keys(olderErrors), ...Object.keys(newerErrors)
+  ]);
+  Array.from(objectNames).sort().forEach(objectApiName => {
+    const before = older.objects[objectApiName];
+    const after = newer.objects[objectApiName];
+    if (olderErrors[objectApiName] || newerErrors[objectApiName]) {
+      const label = (after || before || {}).label || objectApiName;
+      return push(objectApiName, label, "", "Could not compare", olderErrors[objectApiName] || "", newerErrors[objectApiName] || "");
+    }
+    if (!before) return push(objectApiName, after.label, "", `Object ${wording.added}`, "", "");
+    if (!after) return push(objectApiName, before.label, "", `Object ${wording.removed}`, "", "");
+
+    const fieldNames = new Set([...Object.keys(before.fields), ...Object.keys(after.fields)]);
+    Array.from(fieldNames).sort().forEach(fieldApiName => {
+      const oldField = before.fields[fieldApiName];
+      const newField = after.fields[fieldApiName];
+      if (!oldField) return push(objectApiName, after.label, fieldApiName, `Field ${wording.added}`, "", newField.type);
+      if (!newField) return push(objectApiName, after.label, fieldApiName, `Field ${wording.removed}`, oldField.type, "");
+      // Rendered types include the length, e.g. Text(80); report a length change when only that differs.
+      const baseType = type => type.replace(/\(.*\)$/, "");
+      if (baseType(oldField.type) !== baseType(newField.type)) {
+        push(objectApiName, after.label, fieldApiName, "Type changed", oldField.type, newField.type);
+      } else if (String(oldField.length) !== String(newField.length)) {
+        push(objectApiName, after.label, fieldApiName, "Length changed", oldField.length, newField.length);
+      } else if (oldField.type !== newField.type) {
+        push(objectApiName, after.label, fieldApiName, "Type changed", oldField.type, newField.type);
+      }
+      const oldValues = new Set(oldField.picklistValues);
+      const newValues = new Set(newField.picklistValues);
+      newField.picklistValues.filter(v => !oldValues.has(v))
+        .forEach(v => push(objectApiName, after.label, fieldApiName, `Picklist value ${wording.added}`, "", v));
+      oldField.picklistValues.filter(v => !newValues.has(v))
+        .forEach(v => push(objectApiName, after.label, fieldApiName, `Picklist value ${wording.removed}`, v, ""));
+      // Snapshots saved before help text was recorded have no helpText; skip those.
+      if (oldField.helpText !== undefined && newField.helpText !== undefined && oldField.helpText !== newField.helpText) {
+        push(objectApiName, after.label, fieldApiName, "Help text changed", oldField.helpText, newField.helpText);
+      }
+    });
+  });
+  return changes;
+}
+
+function describeSnapshot(snapshot) {
+  return `${snapshot.name} (${snapshot.org}, ${new Date(snapshot.createdAt).toLocaleString()})`;
+}
+
+// A diff plus what the overlay and the XLSX report need to present it.
+function buildSnapshotDiffReport(older, newer) {
+  return {
+    title: "Schema Change Report",
+    from: describeSnapshot(older),
+    to: describeSnapshot(newer),
+    beforeLabel: "Before",
+    afterLabel: "After",
+    fileName: "schema_change_report.xlsx",
+    changes: diffSnapshots(older, newer)
+  };
+}
+
+function diffReportRows(report) {
+  return [
+    ["Object", "Object API Name", "Field API Name", "Change", report.beforeLabel, report.afterLabel],
+    ...report.changes.map(c => [c.objectLabel, c.objectApiName, c.fieldApiName, c.change, c.before, c.after])
+  ];
+}
+
+// Download a diff report as XLSX.
+function exportDiffReport(report) {
+  const rows = diffReportRows(report);
+  const headerRow = 4;
+  const ws = XLSX.utils.aoa_to_sheet([
+    [report.title],
+    ["From", report.from],
+    ["To", report.to]
+  ]);
+  XLSX.utils.sheet_add_aoa(ws, rows, { origin: `A${headerRow}` });
+  addTableFeatures(ws, rows, headerRow);
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Changes");
+  const wbout = writeStyledWorkbook(wb, { Changes: { boldRows: [1, headerRow], freezeRows: headerRow } });
+  downloadBlob(new Blob([wbout], { type: "application/octet-stream" }), report.fileName);
+}
+
+function createOverlay(id, width) {
+  const existing = document.getElementById(id);
+  if (existing) existing.remove();
+  const overlay = document.createElement("div");
+  overlay.id = id;
+  overlay.style.cssText =
+    "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;";
+  const container = document.createElement("div");
+  container.style.cssText =
+    `background: white; padding: 20px; border-radius: 5px; max-height: 80%; overflow-y: auto; width: ${width};`;
+  overlay.appendChild(container);
+  document.body.appendChild(overlay);
+  return { overlay, container };
+}
+
+function createOverlayButton(text, onClick, background = getButtonColor()) {
+  const button = document.createElement("button");
+  button.innerText = text;
+  button.style.cssText = `padding: 5px 10px; background: ${background}; color: white; border: none; border-radius: 4px; cursor: pointer; margin-right: 5px;`;
+  if (background === getButtonColor()) button.dataset.buttonColor = "true";
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+// Show a diff report in an overlay container; onBack returns to the previous view.
+function renderDiffReport(container, report, onBack) {
+  container.innerHTML = "";
+  const title = document.createElement("h2");
+  title.innerText = report.title;
+  container.appendChild(title);
+  const summary = document.createElement("p");
+  summary.innerText = `${report.from} → ${report.to}: ${report.changes.length} differences`;
+  container.appendChild(summary);
+
+  const buttons = document.createElement("div");
+  buttons.style.cssText = "margin: 10px 0;";
+  buttons.appendChild(createOverlayButton("Export XLSX", () => exportDiffReport(report)));
+  buttons.appendChild(createOverlayButton(onBack ? "Back" : "Close", onBack || (() => container.parentElement.remove()), "#aaa"));
+  container.appendChild(buttons);
+
+  const table = document.createElement("table");
+  table.style.cssText = "width: 100%; border-collapse: collapse; font-size: 12px;";
+  diffReportRows(report).forEach((row, i) => {
+    const tr = document.createElement("tr");
+    row.forEach(value => {
+      const cell = document.createElement(i === 0 ? "th" : "td");
+      cell.innerText = value;
+      cell.style.cssText = "border-bottom: 1px solid #ddd; padding: 4px; text-align: left;";
+      tr.appendChild(cell);
+    });
+    table.appendChild(tr);
+  });
+  container.appendChild(table);
+}
+
+// Overlay listing saved snapshots, with capture, delete and compare actions.
+async function showSnapshotManager() {
+  const { overlay, container } = createOverlay("snapshotManagerModal", "700px");
+  const render = async () => {
+    container.innerHTML = "";
+    const title = document.createElement("h2");
+    title.innerText = "Schema Snapshots";
+    container.appendChild(title);
+
+    const actions = document.createElement("div");
+    actions.style.cssText = "margin-bottom: 10px;";
+    if (isObjectManagerHomePage()) {
+      actions.appendChild(createOverlayButton("Snapshot All Objects", async () => {
+        overlay.remove();
+        showSpinner();
+        let objects;
+        try {
+          objects = await listObjectManagerObjects();
+        } finally {
+          hideSpinner();
+        }
+        await captureSnapshot(objects, "All objects");
+      }));
+    } else {
+      actions.appendChild(createOverlayButton("Snapshot This Object", async () => {
+        const objectName = await getObjectApiNameFromURL();
+        if (!objectName) return;
+        overlay.remove();
+        await captureSnapshot([{ objectLabel: objectName, objectApiName: objectName }], objectName);
+      }));
+      actions.appendChild(createOverlayButton("Compare Across Orgs", async () => {
+        const objectName = await getObjectApiNameFromURL();
+        if (!objectName) return;
+        overlay.remove();
+        await showOrgComparisonDialog([{ objectLabel: objectName, objectApiName: objectName }]);
+      }));
+    }
+    const compareBtn = createOverlayButton("Compare Selected", async () => {
+      const ids = Array.from(container.querySelectorAll("input.snapshotOption:checked")).map(cb => cb.value);
+      if (ids.length !== 2) return;
+      const loaded = await Promise.all(ids.map(id => sendBackgroundMessage({ type: "getSnapshot", id })));
+      if (loaded.some(r => !r || !r.success)) {
+        console.error("Error loading snapshots:", loaded.map(r => r && r.error));
+        return;
+      }
+      const [first, second] = loaded.map(r => r.snapshot).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      renderDiffReport(container, buildSnapshotDiffReport(first, second), render);
+    });
+    compareBtn.disabled = true;
+    actions.appendChild(compareBtn);
+    actions.appendChild(createOverlayButton("Close", () => overlay.remove(), "#aaa"));
+    container.appendChild(actions);
+
+    const response = await sendBackgroundMessage({ type: "listSnapshots" });
+    const snapshots = response && response.success ? response.snapshots : [];
+    if (snapshots.length === 0) {
+      const empty = document.createElement("p");
+      empty.innerText = "No snapshots saved yet.";
+      container.appendChild(empty);
+      return;
+    }
+    const hint = document.createElement("p");
+    hint.innerText = "Select two snapshots to compare.";
+    container.appendChild(hint);
+    snapshots.forEach(snapshot => {
+      const label = document.createElement("label");
+      label.style.cssText = "display: flex; align-items: center; margin-bottom: 5px;";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "snapshotOption";
+      checkbox.value = snapshot.id;
+      checkbox.addEventListener("change", () => {
+        compareBtn.disabled = container.querySelectorAll("input.snapshotOption:checked").length !== 2;
+      });
+      label.appendChild(checkbox);
+      const text = document.createElement("span");
+      text.style.cssText = "flex: 1; margin-left: 5px;";
+      text.innerText = `${describeSnapshot(snapshot)} – ${snapshot.objectCount} objects`;
+      label.appendChild(text);
+      label.appendChild(createOverlayButton("Delete", async event => {
+        event.preventDefault();
+        await sendBackgroundMessage({ type: "deleteSnapshot", id: snapshot.id });
+        render();
+      }, "#c23934"));
+      container.appendChild(label);
+    });
+  };
+  await render();
+}
+
+function addSnapshotsButton(parentContainer) {
+  if (document.getElementById("schemaSnapshotsButton")) return;
+
+  const snapshotsButton = document.createElement("button");
+  snapshotsButton.id = "schemaSnapshotsButton";
+  snapshotsButton.textContent = "Snapshots";
+  snapshotsButton.style.cssText =
+    `background-color: ${getButtonColor()}; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;`;
+  snapshotsButton.dataset.buttonColor = "true";
+  snapshotsButton.addEventListener("click", showSnapshotManager);
+  parentContainer.appendChild(snapshotsButton);
+}
+
+// ---------------------
+// Cross-Org Comparison
+// ---------------------
+
+function getHostname(origin) {
+  return origin.replace(/^https?:\/\//, "");
+}
+
+// Describe the objects in two orgs and diff them; the first org is the reference side.
+async function compareOrgs(objects, sourceOrigin, targetOrigin) {
+  const source = getHostname(sourceOrigin);
+  const target = getHostname(targetOrigin);
+  const sourceRun = await describeObjectsWithProgress(objects, { title: `Describing ${source}`, origin: sourceOrigin });
+  if (sourceRun.cancelled) return null;
+  sourceRun.panel.finish(`Described ${source}`);
+  const targetRun = await describeObjectsWithProgress(objects, { title: `Describing ${target}`, origin: targetOrigin });
+  if (targetRun.cancelled) return null;
+  targetRun.panel.finish(`Described ${target}`);
+
+  const sourceSnapshot = buildSnapshot(objects, sourceRun.results, source, source);
+  const targetSnapshot = buildSnapshot(objects, targetRun.results, target, target);
+  return {
+    title: "Cross-Org Comparison",
+    from: source,
+    to: target,
+    beforeLabel: source,
+    afterLabel: target,
+    fileName: `org_comparison_${source}_vs_${target}.xlsx`,
+    changes: diffSnapshots(sourceSnapshot, targetSnapshot, { added: `only in ${target}`, removed: `only in ${source}` })
+  };
+}
+
+// Let the user pick two logged-in orgs, then compare the given objects between them.
+async function showOrgComparisonDialog(objects) {
+  const response = await sendBackgroundMessage({ type: "listLoggedInOrgs", origin: window.location.origin });
+  const orgs = response && response.success ? response.orgs : [];
+  const { overlay, container } = createOverlay("orgComparisonModal", "700px");
+  const title = document.createElement("h2");
+  title.innerText = "Compare Across Orgs";
+  container.appendChild(title);
+
+  if (orgs.length < 2) {
+    const message = document.createElement("p");
+    message.innerText = "Log in to at least two orgs in this browser to compare them.";
+    container.appendChild(message);
+    container.appendChild(createOverlayButton("Close", () => overlay.remove(), "#aaa"));
+    return;
+  }
+
+  const currentOrg = orgs.find(org => org.current) || orgs[0];
+  const createOrgSelect = (labelText, selected) => {
+    const label = document.createElement("label");
+    label.style.cssText = "display: block; margin-bottom: 10px;";
+    label.appendChild(document.createTextNode(labelText));
+    const select = document.createElement("select");
+    select.style.cssText = "width: 100%; padding: 5px; border: 1px solid #ccc; border-radius: 4px;";
+    orgs.forEach(org => {
+      const option = document.createElement("option");
+      option.value = org.origin;
+      option.textContent = getHostname(org.origin);
+      select.appendChild(option);
+    });
+    select.value = selected.origin;
+    label.appendChild(select);
+    container.appendChild(label);
+    return select;
+  };
+  const sourceSelect = createOrgSelect("Source org", currentOrg);
+  const targetSelect = createOrgSelect("Target org", orgs.find(org => org !== currentOrg));
+
+  const objectsNote = document.createElement("p");
+  objectsNote.innerText = `Objects: ${objects.map(o => o.objectApiName).join(", ")}`;
+  container.appendChild(objectsNote);
+
+  container.appendChild(createOverlayButton("Compare", async () => {
+    if (sourceSelect.value === targetSelect.value) return;
+    overlay.remove();
+    const report = await compareOrgs(objects, sourceSelect.value, targetSelect.value);
+    if (!report) return;
+    const view = createOverlay("orgComparisonModal", "900px");
+    renderDiffReport(view.container, report);
+  }));
+  container.appendChild(createOverlayButton("Cancel", () => overlay.remove(), "#aaa"));
+}
+
+// ---------------------
+// Entity-Relationship Diagram
+// ---------------------
+
+// Audit lookups present on nearly every object; drawing them would bury the real relationships.
+const ERD_IGNORED_FIELDS = ["CreatedById", "LastModifiedById"];
+const ERD_NODE = { width: 180, height: 44, collapsedWidth: 140, collapsedHeight: 28 };
+
+// Build nodes and edges from describe results. Objects referenced but not selected become collapsed nodes.
+// Parallel relationships of the same kind between two objects share one edge labelled with every field.
+function buildErdGraph(objects, results) {
+  const nodes = new Map();
+  objects.forEach((obj, index) => {
+    if (results[index] && results[index].success) {
+      nodes.set(obj.objectApiName, { id: obj.objectApiName, label: obj.objectLabel, collapsed: false });
+    }
+  });
+  const edges = new Map();
+  objects.forEach((obj, index) => {
+    if (!nodes.has(obj.objectApiName)) return;
+    results[index].fields
+      .filter(field => field.fieldType === "reference" && !ERD_IGNORED_FIELDS.includes(field.fieldApiName))
+      .forEach(field => {
+        const kind = field.relationshipOrder !== null && field.relationshipOrder !== undefined ? "masterDetail" : "lookup";
+        (field.referenceTo || []).forEach(target => {
+          if (!nodes.has(target)) nodes.set(target, { id: target, label: target, collapsed: true });
+          const key = `${obj.objectApiName}|${target}|${kind}`;
+          if (!edges.has(key)) edges.set(key, { from: obj.objectApiName, to: target, kind, fields: [] });
+          edges.get(key).fields.push(field.fieldApiName);
+        });
+      });
+  });
+  return { nodes: Array.from(nodes.values()), edges: Array.from(edges.values()) };
+}
+
+// Force-directed layout of the selected objects, then the collapsed objects on a ring around them, each
+// placed towards the objects that reference it. Sets x/y (box centre), width and height on every node.
+function layoutErdGraph(graph, iterations = 300) {
+  const selected = graph.nodes.filter(n => !n.collapsed);
+  const collapsed = graph.nodes.filter(n => n.collapsed);
+  const byId = new Map(graph.nodes.map(n => [n.id, n]));
+  const k = 240;
+  const startRadius = Math.max(150, selected.length * 45);
+  selected.forEach((node, i) => {
+    const angle = (2 * Math.PI * i) / Math.max(selected.length, 1);
+    Object.assign(node, {
+      x: Math.cos(angle) * startRadius,
+      y: Math.sin(angle) * startRadius,
+      width: ERD_NODE.width,
+      height: ERD_NODE.height
+    });
+  });
+  const links = graph.edges.filter(e => e.from !== e.to && !byId.get(e.from).collapsed && !byId.get(e.to).collapsed);
+  let temperature = startRadius / 2;
+  for (let step = 0; step < iterations; step++) {
+    const shift = new Map(selected.map(n => [n.id, { x: 0, y: 0 }]));
+    for (let i = 0; i < selected.length; i++) {
+      for (let j = i + 1; j < selected.length; j++) {
+        const a = selected[i];
+        const b = selected[j];
+        const dx = a.x - b.x || 0.01;
+        const dy = a.y - b.y || 0.01;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const force = (k * k) / distance;
+        shift.get(a.id).x += (dx / distance) * force;
+        shift.get(a.id).y += (dy / distance) * force;
+        shift.get(b.id).x -= (dx / distance) * force;
+        shift.get(b.id).y -= (dy / distance) * force;
+      }
+    }
+    links.forEach(edge => {
+      const a = byId.get(edge.from);
+      const b = byId.get(edge.to);
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const distance = Math.sqrt(dx * dx + dy * dy) || 0.01;
+      const force = (distance * distance) / k;
+      shift.get(a.id).x -= (dx / distance) * force;
+      shift.get(a.id).y -= (dy / distance) * force;
+      shift.get(b.id).x += (dx / distance) * force;
+      shift.get(b.id).y += (dy / distance) * force;
+    });
+    selected.forEach(node => {
+      const s = shift.get(node.id);
+      const length = Math.sqrt(s.x * s.x + s.y * s.y) || 1;
+      node.x += (s.x / length) * Math.min(length, temperature);
+      node.y += (s.y / length) * Math.min(length, temperature);
+    });
+    temperature = Math.max(temperature * 0.97, 1);
+  }
+  separateErdNodes(selected);
+
+  const centerX = selected.reduce((sum, n) => sum + n.x, 0) / Math.max(selected.length, 1);
+  const centerY = selected.reduce((sum, n) => sum + n.y, 0) / Math.max(selected.length, 1);
+  let radius = selected.reduce((max, n) => Math.max(max, Math.hypot(n.x - centerX, n.y - centerY)), 0) + 220;
+  const placed = collapsed.map((node, i) => {
+    const neighbours = graph.edges
+      .filter(e => e.to === node.id && !byId.get(e.from).collapsed)
+      .map(e => byId.get(e.from));
+    const mx = neighbours.reduce((sum, n) => sum + n.x - centerX, 0);
+    const my = neighbours.reduce((sum, n) => sum + n.y - centerY, 0);
+    const angle = mx || my ? Math.atan2(my, mx) : (2 * Math.PI * i) / collapsed.length;
+    return { node, angle };
+  }).sort((a, b) => a.angle - b.angle);
+  // Keep neighbouring collapsed boxes at least one box width apart along the ring.
+  const gap = (ERD_NODE.collapsedWidth + 20) / radius;
+  if (placed.length * gap > 2 * Math.PI) {
+    radius = (placed.length * (ERD_NODE.collapsedWidth + 20)) / (2 * Math.PI);
+  }
+  const minGap = (ERD_NODE.collapsedWidth + 20) / radius;
+  placed.forEach((entry, i) => {
+    if (i > 0 && entry.angle - placed[i - 1].angle < minGap) entry.angle = placed[i - 1].angle + minGap;
+    Object.assign(entry.node, {
+      x: centerX + Math.cos(entry.angle) * radius,
+      y: centerY + Math.sin(entry.angle) * radius,
+      width: ERD_NODE.collapsedWidth,
+      height: ERD_NODE.collapsedHeight
+    });
+  });
+  return graph;
+}
+
+// Push overlapping boxes apart along the axis of least overlap.
+function separateErdNodes(nodes, passes = 50) {
+  for (let pass = 0; pass < passes; pass++) {
+    let moved = false;
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i];
+        const b = nodes[j];
+        const overlapX = (a.width + b.width) / 2 + 20 - Math.abs(a.x - b.x);
+        const overlapY = (a.height + b.height) / 2 + 20 - Math.abs(a.y - b.y);
+        if (overlapX <= 0 || overlapY <= 0) continue;
+        moved = true;
+        if (overlapX < overlapY) {
+          const direction = a.x < b.x ? -1 : 1;
+          a.x += (direction * overlapX) / 2;
+          b.x -= (direction * overlapX) / 2;
+        } else {
+          const direction = a.y < b.y ? -1 : 1;
+          a.y += (direction * overlapY) / 2;
+          b.y -= (direction * overlapY) / 2;
+        }
+      }
+    }
+    if (!moved) return;
+  }
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+// Point where the line from a box's centre towards (x, y) leaves the box.
+function clipToBox(node, x, y) {
+  const dx = x - node.x;
+  const dy = y - node.y;
+  if (!dx && !dy) return { x: node.x, y: node.y };
+  const scale = Math.min(
+    dx ? (node.width / 2) / Math.abs(dx) : Infinity,
+    dy ? (node.height / 2) / Math.abs(dy) : Infinity
+  );
+  return { x: node.x + dx * scale, y: node.y + dy * scale };
+}
+
+// Render a laid-out graph as standalone SVG markup. Lookups are dashed blue lines with open arrows,
+// master-detail relationships solid red lines with filled arrows; collapsed objects are grey dashed boxes.
+function renderErdSvg(graph) {
+  const byId = new Map(graph.nodes.map(n => [n.id, n]));
+  const padding = 40;
+  const minX = Math.min(...graph.nodes.map(n => n.x - n.width / 2)) - padding;
+  const minY = Math.min(...graph.nodes.map(n => n.y - n.height / 2)) - padding - 40;
+  const maxX = Math.max(...graph.nodes.map(n => n.x + n.width / 2)) + padding;
+  const maxY = Math.max(...graph.nodes.map(n => n.y + n.height / 2)) + padding;
+  const width = Math.round(maxX - minX);
+  const height = Math.round(maxY - minY);
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${minX} ${minY} ${width} ${height}" font-family="Arial, sans-serif">`);
+  parts.push(
+    "<defs>" +
+    '<marker id="erdLookupArrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">' +
+    '<path d="M0,0 L10,5 L0,10" fill="none" stroke="#0070d2" stroke-width="1.5"/></marker>' +
+    '<marker id="erdMasterArrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">' +
+    '<path d="M0,0 L10,5 L0,10 z" fill="#c23934"/></marker>' +
+    "</defs>"
+  );
+  parts.push(`<rect x="${minX}" y="${minY}" width="${width}" height="${height}" fill="white"/>`);
+  parts.push(
+    `<g font-size="12" transform="translate(${minX + 10},${minY + 18})">` +
+    '<line x1="0" y1="-4" x2="30" y2="-4" stroke="#0070d2" stroke-dasharray="5,3" marker-end="url(#erdLookupArrow)"/>' +
+    '<text x="38" y="0">Lookup</text>' +
+    '<line x1="100" y1="-4" x2="130" y2="-4" stroke="#c23934" stroke-width="2" marker-end="url(#erdMasterArrow)"/>' +
+    '<text x="138" y="0">Master-Detail</text></g>'
+  );
+
+  graph.edges.forEach(edge => {
+    const from = byId.get(edge.from);
+    const to = byId.get(edge.to);
+    const stroke = edge.kind === "masterDetail"
+      ? 'stroke="#c23934" stroke-width="2" marker-end="url(#erdMasterArrow)"'
+      : 'stroke="#0070d2" stroke-width="1.2" stroke-dasharray="5,3" marker-end="url(#erdLookupArrow)"';
+    const label = escapeXml(edge.fields.join(", "));
+    if (from === to) {
+      // Self relationship: loop from the top edge round to the right edge.
+      const top = { x: from.x + from.width / 4, y: from.y - from.height / 2 };
+      const right = { x: from.x + from.width / 2, y: from.y - from.height / 4 };
+      parts.push(`<path d="M${top.x},${top.y} C${top.x},${top.y - 40} ${right.x + 40},${right.y} ${right.x},${right.y}" fill="none" ${stroke}><title>${label}</title></path>`);
+      parts.push(`<text x="${right.x + 8}" y="${top.y - 14}" font-size="10" fill="#555">${label}</text>`);
       return;
     }
-    const objects = [];
-    for (const row of rows) {
-      const link = row.querySelector("a");
-      if (link && link.href) {
-        const match = link.href.match(/(?:ObjectManager\/|\/sObject\/)([^\/]+)/);
-        if (match && match[1]) {
-          let identifier = decodeURIComponent(match[1]);
-          let objectApiName = identifier;
-          if (/^[a-zA-Z0-9]{15,18}$/.test(identifier)) {
-            const response = await new Promise(resolve => {
-              chrome.runtime.sendMessage({ type: "fetchCustomObjectApiName", objectId: identifier, origin: window.location.origin }, resolve);
-            });
-            if (response && response.success) {
-              objectApiName = response.apiName;
-            } else {
-              console.error("Failed to fetch custom object API name for home page row:", response.error);
-            }
-          }
-          const objectLabel = row.querySelector("td")
-            ? row.querySelector("td").innerText.trim()
-            : objectApiName;
-          objects.push({ objectLabel, objectApiName });
-        }
-      }
+    const start = clipToBox(from, to.x, to.y);
+    const end = clipToBox(to, from.x, from.y);
+    parts.push(`<line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}" ${stroke}><title>${label}</title></line>`);
+    parts.push(`<text x="${(start.x + end.x) / 2}" y="${(start.y + end.y) / 2 - 4}" font-size="10" fill="#555" text-anchor="middle">${label}</text>`);
+  });
+
+  graph.nodes.forEach(node => {
+    const x = node.x - node.width / 2;
+    const y = node.y - node.height / 2;
+    if (node.collapsed) {
+      parts.push(`<rect x="${x}" y="${y}" width="${node.width}" height="${node.height}" rx="4" fill="#f3f2f2" stroke="#969492" stroke-dasharray="4,2"/>`);
+      parts.push(`<text x="${node.x}" y="${node.y + 4}" font-size="11" fill="#3e3e3c" text-anchor="middle">${escapeXml(node.label)}</text>`);
+    } else {
+      parts.push(`<rect x="${x}" y="${y}" width="${node.width}" height="${node.height}" rx="4" fill="#f4f6f9" stroke="#0070d2" stroke-width="1.5"/>`);
+      parts.push(`<text x="${node.x}" y="${node.y - 3}" font-size="13" font-weight="bold" fill="#16325c" text-anchor="middle">${escapeXml(node.label)}</text>`);
+      parts.push(`<text x="${node.x}" y="${node.y + 13}" font-size="10" fill="#54698d" text-anchor="middle">${escapeXml(node.id)}</text>`);
     }
-    
-    let wb = XLSX.utils.book_new();
-    const usedSheetNames = [];
-    
-    for (const obj of objects) {
-      const response = await new Promise(resolve => {
-        chrome.runtime.sendMessage(
-          {
-            type: "fetchObjectDescribe",
-            objectApiName: obj.objectApiName,
-            origin: window.location.origin
-          },
-          resolve
-        );
+  });
+  parts.push("</svg>");
+  return parts.join("");
+}
+
+// Rasterize SVG markup at twice its size and download it as a PNG.
+function downloadSvgAsPng(svg, fileName) {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width * 2;
+    canvas.height = image.height * 2;
+    const context = canvas.getContext("2d");
+    context.scale(2, 2);
+    context.drawImage(image, 0, 0);
+    canvas.toBlob(blob => downloadBlob(blob, fileName), "image/png");
+  };
+  image.onerror = () => console.error("Error rendering diagram as PNG.");
+  image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+}
+
+// Overlay showing the diagram; the mouse wheel zooms around the pointer and dragging pans.
+function showErdOverlay(graph) {
+  const { overlay, container } = createOverlay("erdOverlay", "90%");
+  container.style.height = "80%";
+  container.style.display = "flex";
+  container.style.flexDirection = "column";
+  container.style.overflowY = "hidden";
+  const svgMarkup = renderErdSvg(graph);
+
+  const toolbar = document.createElement("div");
+  toolbar.style.cssText = "margin-bottom: 10px;";
+  const viewport = document.createElement("div");
+  viewport.style.cssText = "flex: 1; overflow: hidden; border: 1px solid #ddd; cursor: grab; position: relative;";
+  const canvas = document.createElement("div");
+  canvas.style.cssText = "transform-origin: 0 0; position: absolute; top: 0; left: 0;";
+  canvas.innerHTML = svgMarkup;
+  viewport.appendChild(canvas);
+
+  const view = { scale: 1, x: 0, y: 0 };
+  const apply = () => { canvas.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`; };
+  const zoomAt = (factor, px, py) => {
+    const scale = Math.min(4, Math.max(0.1, view.scale * factor));
+    view.x = px - (px - view.x) * (scale / view.scale);
+    view.y = py - (py - view.y) * (scale / view.scale);
+    view.scale = scale;
+    apply();
+  };
+  const fit = () => {
+    const svg = canvas.querySelector("svg");
+    const scale = Math.min(viewport.clientWidth / svg.width.baseVal.value, viewport.clientHeight / svg.height.baseVal.value, 1);
+    Object.assign(view, { scale, x: 0, y: 0 });
+    apply();
+  };
+  viewport.addEventListener("wheel", event => {
+    event.preventDefault();
+    const rect = viewport.getBoundingClientRect();
+    zoomAt(event.deltaY < 0 ? 1.1 : 1 / 1.1, event.clientX - rect.left, event.clientY - rect.top);
+  }, { passive: false });
+  let drag = null;
+  viewport.addEventListener("mousedown", event => {
+    drag = { x: event.clientX - view.x, y: event.clientY - view.y };
+    viewport.style.cursor = "grabbing";
+  });
+  const onMove = event => {
+    if (!drag) return;
+    view.x = event.clientX - drag.x;
+    view.y = event.clientY - drag.y;
+    apply();
+  };
+  const onUp = () => {
+    drag = null;
+    viewport.style.cursor = "grab";
+  };
+  window.addEventListener("mousemove", onMove);
+  window.addEventListener("mouseup", onUp);
+  const close = () => {
+    window.removeEventListener("mousemove", onMove);
+    window.removeEventListener("mouseup", onUp);
+    overlay.remove();
+  };
+
+  const center = () => ({ x: viewport.clientWidth / 2, y: viewport.clientHeight / 2 });
+  toolbar.appendChild(createOverlayButton("Zoom In", () => zoomAt(1.25, center().x, center().y)));
+  toolbar.appendChild(createOverlayButton("Zoom Out", () => zoomAt(0.8, center().x, center().y)));
+  toolbar.appendChild(createOverlayButton("Fit", fit));
+  toolbar.appendChild(createOverlayButton("Export SVG", () =>
+    downloadBlob(new Blob([svgMarkup], { type: "image/svg+xml" }), "schema_diagram.svg")));
+  toolbar.appendChild(createOverlayButton("Export PNG", () => downloadSvgAsPng(svgMarkup, "schema_diagram.png")));
+  toolbar.appendChild(createOverlayButton("Close", close, "#aaa"));
+  const summary = document.createElement("span");
+  summary.style.cssText = "margin-left: 10px; color: #555;";
+  const selectedCount = graph.nodes.filter(n => !n.collapsed).length;
+  summary.innerText = `${selectedCount} objects, ${graph.nodes.length - selectedCount} referenced, ${graph.edges.length} relationships`;
+  toolbar.appendChild(summary);
+
+  container.appendChild(toolbar);
+  container.appendChild(viewport);
+  fit();
+}
+
+// Describe the selected objects and show their diagram.
+async function showObjectDiagram(objects) {
+  const { results, cancelled, panel } = await describeObjectsWithProgress(objects, { title: "Building Diagram" });
+  if (cancelled) return;
+  panel.finish("Diagram Ready");
+  const graph = buildErdGraph(objects, results);
+  if (graph.nodes.length === 0) return;
+  showErdOverlay(layoutErdGraph(graph));
+}
+
+// ---------------------
+// Enhanced Field Table
+// ---------------------
+
+// Columns shown when the enhanced view opens. "fieldType" is the Salesforce-style type from
+// mapFieldTypeForExport; every other column is a describe attribute.
+const FIELD_TABLE_DEFAULT_COLUMNS = ["label", "name", "fieldType", "length", "inlineHelpText"];
+const FIELD_TABLE_HEADERS = {
+  label: "Field Label",
+  name: "Field Name",
+  fieldType: "Data Type",
+  length: "Length",
+  inlineHelpText: "Help Text"
+};
+
+// The open enhanced view, or null while Salesforce's own table is shown.
+let enhancedFieldTable = null;
+
+function getFieldTableValue(field, key) {
+  if (key === "fieldType") return mapFieldTypeForExport(field);
+  const value = field.attributes[key];
+  return value === null || value === undefined ? "" : value;
+}
+
+function compareFieldTableValues(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" });
+}
+
+// Field detail page, from the CustomField Id (custom fields) or the API name (standard fields).
+function getFieldDetailUrl(field) {
+  const base = window.location.pathname.replace(/\/FieldsAndRelationships.*$/, "/FieldsAndRelationships");
+  return `${base}/${encodeURIComponent(field.fieldId || field.fieldApiName)}/view`;
+}
+
+// Quick Find row data of a field, so the enhanced view filters with the same query syntax.
+function getFieldTableRowData(field) {
+  return {
+    label: field.fieldLabel.toLowerCase(),
+    api: field.fieldApiName.toLowerCase(),
+    type: mapFieldTypeForExport(field).toLowerCase(),
+    picklist: field.picklistValues.toLowerCase(),
+    recordTypes: {},
+    custom: !!field.custom
+  };
+}
+
+// Sortable table of the describe fields with a column chooser and optional grouping by type.
+// filter(terms) applies parsed Quick Find terms.
+function createEnhancedFieldTable(fields) {
+  let columns = FIELD_TABLE_DEFAULT_COLUMNS.slice();
+  let sortKey = "label";
+  let sortDirection = 1;
+  let groupByType = false;
+  let terms = [];
+
+  const wrapper = document.createElement("div");
+  wrapper.id = "enhancedFieldTable";
+  wrapper.style.cssText = "margin-top: 10px; font-size: 13px;";
+
+  const controls = document.createElement("div");
+  controls.style.cssText = "display: flex; align-items: flex-start; margin-bottom: 8px;";
+  wrapper.appendChild(controls);
+
+  const chooser = document.createElement("details");
+  chooser.style.cssText = "margin-right: 15px;";
+  const summary = document.createElement("summary");
+  summary.textContent = "Columns";
+  summary.style.cursor = "pointer";
+  chooser.appendChild(summary);
+  const chooserList = document.createElement("div");
+  chooserList.style.cssText = "max-height: 200px; overflow-y: auto; columns: 3; padding: 5px; border: 1px solid #ddd; border-radius: 4px; background: white;";
+  const attributeKeys = Array.from(new Set(fields.flatMap(field => Object.keys(field.attributes)))).sort();
+  ["fieldType", ...attributeKeys].forEach(key => {
+    const label = document.createElement("label");
+    label.style.cssText = "display: block; white-space: nowrap;";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = columns.includes(key);
+    checkbox.addEventListener("change", () => {
+      columns = checkbox.checked ? [...columns, key] : columns.filter(c => c !== key);
+      render();
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(" " + (FIELD_TABLE_HEADERS[key] || key)));
+    chooserList.appendChild(label);
+  });
+  chooser.appendChild(chooserList);
+  controls.appendChild(chooser);
+
+  const groupLabel = document.createElement("label");
+  groupLabel.style.cssText = "margin-right: 15px;";
+  const groupCheckbox = document.createElement("input");
+  groupCheckbox.type = "checkbox";
+  groupCheckbox.addEventListener("change", () => {
+    groupByType = groupCheckbox.checked;
+    render();
+  });
+  groupLabel.appendChild(groupCheckbox);
+  groupLabel.appendChild(document.createTextNode(" Group by type"));
+  controls.appendChild(groupLabel);
+
+  const counter = document.createElement("span");
+  counter.style.cssText = "color: #555;";
+  controls.appendChild(counter);
+
+  const table = document.createElement("table");
+  table.style.cssText = "width: 100%; border-collapse: collapse;";
+  const thead = document.createElement("thead");
+  const tbody = document.createElement("tbody");
+  table.appendChild(thead);
+  table.appendChild(tbody);
+  wrapper.appendChild(table);
+
+  const cellStyle = "padding: 6px; border-bottom: 1px solid #eee; text-align: left; vertical-align: top;";
+
+  function renderHeader() {
+    thead.innerHTML = "";
+    const row = document.createElement("tr");
+    columns.forEach(key => {
+      const th = document.createElement("th");
+      th.textContent = (FIELD_TABLE_HEADERS[key] || key) + (key === sortKey ? (sortDirection > 0 ? " ▲" : " ▼") : "");
+      th.style.cssText = cellStyle + " border-bottom: 2px solid #ddd; background: #fafaf9; cursor: pointer; position: sticky; top: 0;";
+      th.addEventListener("click", () => {
+        sortDirection = key === sortKey ? -sortDirection : 1;
+        sortKey = key;
+        render();
       });
-      let data = [];
-      data.push(["Field Label", "API Name", "Field Type", "Field Length", "Picklist Values"]);
-      if (response && response.success && response.fields) {
-        response.fields.forEach(field => {
-          const mappedFieldType = mapFieldTypeForExport(field.fieldType, field.fieldLength);
-          data.push([
-            field.fieldLabel,
-            field.fieldApiName,
-            mappedFieldType,
-            field.fieldLength ? field.fieldLength : "",
-            field.picklistValues
-          ]);
-        });
+      row.appendChild(th);
+    });
+    thead.appendChild(row);
+  }
+
+  function renderFieldRow(field) {
+    const row = document.createElement("tr");
+    columns.forEach(key => {
+      const td = document.createElement("td");
+      td.style.cssText = cellStyle;
+      const value = getFieldTableValue(field, key);
+      if (key === "label") {
+        const link = document.createElement("a");
+        link.href = getFieldDetailUrl(field);
+        link.textContent = value;
+        td.appendChild(link);
       } else {
-        data.push([obj.objectLabel, obj.objectApiName, "Error fetching fields", "", ""]);
+        td.textContent = typeof value === "boolean" ? formatYesNo(value) : value;
       }
-      
-      let sheetName = obj.objectLabel;
-      sheetName = sheetName.length > 31 ? sheetName.substring(0, 31) : sheetName;
-      sheetName = getUniqueSheetName(sheetName, usedSheetNames);
-      usedSheetNames.push(sheetName);
-      
-      let ws = XLSX.utils.aoa_to_sheet(data);
-      XLSX.utils.book_append_sheet(wb, ws, sheetName);
+      row.appendChild(td);
+    });
+    return row;
+  }
+
+  function render() {
+    renderHeader();
+    tbody.innerHTML = "";
+    const visible = fields
+      .filter(field => terms.length === 0 || matchQuickFindRow(terms, getFieldTableRowData(field)) >= 0)
+      .sort((a, b) => sortDirection * compareFieldTableValues(getFieldTableValue(a, sortKey), getFieldTableValue(b, sortKey)));
+    counter.textContent = `${visible.length} of ${fields.length} fields`;
+    if (!groupByType) {
+      visible.forEach(field => tbody.appendChild(renderFieldRow(field)));
+      return;
     }
-    
-    const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-    const blob = new Blob([wbout], { type: "application/octet-stream" });
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = "salesforce_objects_fields_export.xlsx";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-  } catch (error) {
-    console.error("Error exporting full database to XLSX:", error);
-  } finally {
-    hideSpinner();
+    const groups = new Map();
+    visible.forEach(field => {
+      const type = FIELD_TYPE_LABELS[field.fieldType] || field.fieldType;
+      if (!groups.has(type)) groups.set(type, []);
+      groups.get(type).push(field);
+    });
+    Array.from(groups.keys()).sort().forEach(type => {
+      const headerRow = document.createElement("tr");
+      const headerCell = document.createElement("td");
+      headerCell.colSpan = columns.length;
+      headerCell.textContent = `${type} (${groups.get(type).length})`;
+      headerCell.style.cssText = cellStyle + " font-weight: bold; background: #f3f3f3;";
+      headerRow.appendChild(headerCell);
+      tbody.appendChild(headerRow);
+      groups.get(type).forEach(field => tbody.appendChild(renderFieldRow(field)));
+    });
   }
+
+  render();
+  return {
+    element: wrapper,
+    filter(newTerms) {
+      terms = newTerms;
+      render();
+    }
+  };
 }
 
-// 3) Export only selected objects (used by the modal)
-async function exportSelectedObjectsToXLSX(selectedObjects) {
-  showSpinner();
-  try {
-    let wb = XLSX.utils.book_new();
-    const usedSheetNames = [];
-    for (const obj of selectedObjects) {
-      const response = await new Promise(resolve => {
-        chrome.runtime.sendMessage(
-          {
-            type: "fetchObjectDescribe",
-            objectApiName: obj.objectApiName,
-            origin: window.location.origin
-          },
-          resolve
-        );
-      });
-      let data = [];
-      data.push(["Field Label", "API Name", "Field Type", "Field Length", "Picklist Values"]);
-      if (response && response.success && response.fields) {
-        response.fields.forEach(field => {
-          const mappedFieldType = mapFieldTypeForExport(field.fieldType, field.fieldLength);
-          data.push([
-            field.fieldLabel,
-            field.fieldApiName,
-            mappedFieldType,
-            field.fieldLength ? field.fieldLength : "",
-            field.picklistValues
-          ]);
-        });
-      } else {
-        data.push([obj.objectLabel, obj.objectApiName, "Error fetching fields", "", ""]);
-      }
-      let sheetName = obj.objectLabel;
-      sheetName = sheetName.length > 31 ? sheetName.substring(0, 31) : sheetName;
-      sheetName = getUniqueSheetName(sheetName, usedSheetNames);
-      usedSheetNames.push(sheetName);
-      let ws = XLSX.utils.aoa_to_sheet(data);
-      XLSX.utils.book_append_sheet(wb, ws, sheetName);
-    }
-    const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-    const blob = new Blob([wbout], { type: "application/octet-stream" });
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = "selected_salesforce_objects_fields_export.xlsx";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-  } catch (error) {
-    console.error("Error exporting selected objects to XLSX:", error);
-  } finally {
-    hideSpinner();
+// Put Salesforce's field list back and drop the enhanced view.
+function closeEnhancedFieldTable() {
+  if (!enhancedFieldTable) return;
+  enhancedFieldTable.element.remove();
+  enhancedFieldTable = null;
+  const salesforceTable = document.querySelector("table");
+  if (salesforceTable) salesforceTable.style.display = "";
+  const button = document.getElementById("enhancedViewButton");
+  if (button) button.textContent = "Enhanced View";
+}
+
+// Swap Salesforce's lazy-loading field list for the enhanced view, or back.
+async function toggleEnhancedFieldTable(button) {
+  if (enhancedFieldTable) {
+    closeEnhancedFieldTable();
+    // When the enhanced view opened by default, Salesforce's rows have not been loaded yet.
+    const tableBody = document.querySelector("table tbody");
+    if (tableBody && tableBody.dataset.rowsLoaded !== "true") {
+      await loadFieldTableRows(tableBody);
+      startPicklistRowProcessing(tableBody);
+    }
+    return;
+  }
+  const salesforceTable = document.querySelector("table");
+  const objectName = await getObjectApiNameFromURL();
+  if (!salesforceTable || !objectName) return;
+  button.disabled = true;
+  button.textContent = "Loading...";
+  const response = await sendBackgroundMessage({ type: "fetchFieldTable", objectApiName: objectName, origin: window.location.origin });
+  button.disabled = false;
+  if (!response || !response.success) {
+    reportApiError("Could not load the enhanced view", response);
+    button.textContent = "Enhanced View";
+    return;
   }
+  enhancedFieldTable = createEnhancedFieldTable(response.fields);
+  // Inserted after Salesforce's table, which stays the first table on the page for the row processing.
+  salesforceTable.style.display = "none";
+  salesforceTable.parentNode.insertBefore(enhancedFieldTable.element, salesforceTable.nextSibling);
+  button.textContent = "Standard View";
+  const customQF = document.getElementById("customQuickFind");
+  if (customQF && customQF.value.trim()) onQuickFindInput({ target: customQF });
 }
 
-// ---------------------
-// Inline Export Button (Detail Page)
-// ---------------------
-function addInlineExportButton(parentContainer) {
-  if (document.getElementById("exportDetailXLSXButton")) return;
-  
-  const exportButton = document.createElement("button");
-  exportButton.id = "exportDetailXLSXButton";
-  exportButton.textContent = "Export XLSX";
-  exportButton.style.cssText =
-    "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;";
-  exportButton.addEventListener("click", exportCurrentObjectFieldsToXLSX);
-  parentContainer.appendChild(exportButton);
+// Whether Fields & Relationships opens in the enhanced view (a setting on the options page). Salesforce's
+// lazy-loading table is then neither scrolled nor processed until the user switches to it.
+function isEnhancedViewDefault() {
+  return isFeatureEnabled("enhancedView") && !!extensionSettings.enhancedViewDefault &&
+    window.location.pathname.includes("FieldsAndRelationships");
+}
+
+function addEnhancedViewButton(parentContainer) {
+  if (!window.location.pathname.includes("FieldsAndRelationships")) return;
+  if (document.getElementById("enhancedViewButton")) return;
+  const button = document.createElement("button");
+  button.id = "enhancedViewButton";
+  button.textContent = "Enhanced View";
+  button.title = "Show a sortable field table built from the object describe";
+  button.style.cssText =
+    `background-color: ${getButtonColor()}; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;`;
+  button.dataset.buttonColor = "true";
+  button.addEventListener("click", () => toggleEnhancedFieldTable(button));
+  parentContainer.appendChild(button);
 }
 
 // ---------------------
-// Modal for selecting objects to export
+// Command Palette
 // ---------------------
-async function showExportSelectionModal() {
-  try {
-    showSpinner(); // Show spinner while building the modal
-    const tableBody = await waitForElement("table tbody");
-    const rows = Array.from(tableBody.querySelectorAll("tr"));
-    const objects = [];
-    for (const row of rows) {
-      const link = row.querySelector("a");
-      if (link && link.href) {
-        const match = link.href.match(/(?:ObjectManager\/|\/sObject\/)([^\/]+)/);
-        if (match && match[1]) {
-          let identifier = decodeURIComponent(match[1]);
-          let objectApiName = identifier;
-          if (/^[a-zA-Z0-9]{15,18}$/.test(identifier)) {
-            const response = await new Promise(resolve => {
-              chrome.runtime.sendMessage({ type: "fetchCustomObjectApiName", objectId: identifier, origin: window.location.origin }, resolve);
-            });
-            if (response && response.success) {
-              objectApiName = response.apiName;
-            } else {
-              console.error("Failed to fetch custom object API name for modal:", response.error);
-            }
-          }
-          const objectLabel = row.querySelector("td")
-            ? row.querySelector("td").innerText.trim()
-            : objectApiName;
-          objects.push({ objectLabel, objectApiName });
-        }
+
+// Actions offered for an object: path is relative to /lightning/setup/ObjectManager/{object}/, run is called instead.
+const PALETTE_OBJECT_ACTIONS = [
+  { label: "Fields", path: "FieldsAndRelationships/view" },
+  { label: "Layouts", path: "PageLayouts/view" },
+  { label: "Record Types", path: "RecordTypes/view" },
+  { label: "Validation Rules", path: "ValidationRules/view" },
+  { label: "Export XLSX", run: obj => exportObjects([obj], buildExportFileName(obj.objectApiName), { format: "xlsx" }) }
+];
+// Fields from the org-wide field index open their object's Fields & Relationships page filtered to the field.
+const PALETTE_FIELD_ACTIONS = [
+  { label: "Find Field", path: "FieldsAndRelationships/view", quickFind: item => `api:${item.field.name}` }
+];
+const PALETTE_MAX_RESULTS = 50;
+// Quick Find query to apply after the page opened from the palette has loaded.
+const PENDING_QUICK_FIND_KEY = "fieldSearchHelperPendingQuickFind";
+
+// Objects and indexed fields, loaded when the palette is first opened on this page.
+let paletteItems = null;
+
+// Fuzzy match: every character of the query must appear in the text in order. Consecutive characters,
+// word and camelCase starts score higher, and shorter texts win ties. Each occurrence of the first character
+// is tried as the start, so "con" finds "Contact" inside "Account Contact Role". Returns -1 without a match.
+function fuzzyScore(query, text) {
+  const chars = query.toLowerCase().replace(/\s+/g, "");
+  const lowerText = text.toLowerCase();
+  const scoreFrom = start => {
+    let score = 0;
+    let position = start;
+    let previous = -2;
+    for (const char of chars) {
+      const index = lowerText.indexOf(char, position);
+      if (index === -1) return -1;
+      score += 1;
+      if (index === previous + 1) score += 5;
+      if (index === 0 || /[\s_.(]/.test(text[index - 1]) || (/[A-Z]/.test(text[index]) && /[a-z]/.test(text[index - 1]))) {
+        score += 3;
       }
+      previous = index;
+      position = index + 1;
     }
-    // Create modal overlay
-    const modal = document.createElement("div");
-    modal.id = "exportSelectionModal";
-    modal.style.cssText =
-      "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;";
-    
-    const container = document.createElement("div");
-    container.style.cssText =
-      "background: white; padding: 20px; border-radius: 5px; max-height: 80%; overflow-y: auto; width: 300px;";
-    
-    const title = document.createElement("h2");
-    title.innerText = "Select Objects to Export";
-    container.appendChild(title);
-    
-    // Header with toggle, Export Selected, and Cancel
-    const headerContainer = document.createElement("div");
-    headerContainer.style.cssText = "display: flex; justify-content: space-between; margin-bottom: 10px;";
-    
-    const toggleBtn = document.createElement("button");
-    toggleBtn.innerText = "Select All";
-    toggleBtn.style.cssText = "padding: 5px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
-    // Updated toggle button event listener to only target visible (filtered) checkboxes:
-    toggleBtn.addEventListener("click", () => {
-      const checkboxes = Array.from(container.querySelectorAll("label > input[type='checkbox']"))
-        .filter(cb => window.getComputedStyle(cb.parentElement).display !== "none");
-      const allChecked = checkboxes.every(cb => cb.checked);
-      checkboxes.forEach(cb => { cb.checked = !allChecked; });
-      toggleBtn.innerText = allChecked ? "Select All" : "Deselect All";
-    });
-    
-    const headerExportBtn = document.createElement("button");
-    headerExportBtn.innerText = "Export Selected";
-    headerExportBtn.style.cssText = "padding: 5px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
-    headerExportBtn.addEventListener("click", async () => {
-      const selectedCheckboxes = container.querySelectorAll("label > input[type='checkbox']:checked");
-      const selectedObjects = [];
-      selectedCheckboxes.forEach(cb => {
-        const apiName = cb.value;
-        const correspondingObj = objects.find(o => o.objectApiName === apiName);
-        if (correspondingObj) {
-          selectedObjects.push(correspondingObj);
-        }
-      });
-      document.body.removeChild(modal);
-      await exportSelectedObjectsToXLSX(selectedObjects);
-    });
-    
-    const headerCancelBtn = document.createElement("button");
-    headerCancelBtn.innerText = "Cancel";
-    headerCancelBtn.style.cssText = "padding: 5px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer;";
-    headerCancelBtn.addEventListener("click", () => {
-      document.body.removeChild(modal);
-    });
-    
-    headerContainer.appendChild(toggleBtn);
-    headerContainer.appendChild(headerExportBtn);
-    headerContainer.appendChild(headerCancelBtn);
-    container.appendChild(headerContainer);
-    
-    // Search filter
-    const searchInput = document.createElement("input");
-    searchInput.type = "text";
-    searchInput.placeholder = "Search objects...";
-    searchInput.style.cssText =
-      "width: 100%; padding: 5px; margin-bottom: 10px; border: 1px solid #ccc; border-radius: 4px;";
-    searchInput.addEventListener("input", () => {
-      const filter = searchInput.value.trim().toLowerCase();
-      const labels = container.querySelectorAll("label");
-      labels.forEach(label => {
-        const text = label.textContent.toLowerCase();
-        label.style.display = text.includes(filter) ? "block" : "none";
+    return score;
+  };
+  let best = -1;
+  for (let start = lowerText.indexOf(chars[0]); start !== -1; start = lowerText.indexOf(chars[0], start + 1)) {
+    best = Math.max(best, scoreFrom(start));
+  }
+  return best < 0 ? -1 : best - text.length / 100;
+}
+
+async function loadPaletteItems() {
+  // Only objects with Object Manager pages; Share, History, Feed and ChangeEvent objects have none.
+  const objects = await listObjectManagerObjects();
+  const items = objects.map(obj => ({
+    obj,
+    title: obj.objectLabel,
+    subtitle: obj.objectApiName,
+    text: `${obj.objectLabel} ${obj.objectApiName}`,
+    actions: PALETTE_OBJECT_ACTIONS
+  }));
+  // Fields are only offered when the org-wide field index has been built on the Object Manager home page.
+  const response = await sendBackgroundMessage({ type: "getFieldIndex", origin: window.location.origin });
+  const indexedObjects = response && response.success && response.index ? response.index.objects : {};
+  Object.keys(indexedObjects).forEach(objectApiName => {
+    const { label, fields } = indexedObjects[objectApiName];
+    fields.forEach(field => items.push({
+      obj: { objectLabel: label, objectApiName },
+      field,
+      title: `${label}: ${field.label}`,
+      subtitle: `${objectApiName}.${field.name}`,
+      text: `${label} ${field.label} ${objectApiName}.${field.name}`,
+      actions: PALETTE_FIELD_ACTIONS
+    }));
+  });
+  return items;
+}
+
+function runPaletteAction(item, action) {
+  if (action.run) {
+    Promise.resolve(action.run(item.obj)).catch(error => console.error("Error running command palette action:", error));
+    return;
+  }
+  if (action.quickFind) sessionStorage.setItem(PENDING_QUICK_FIND_KEY, action.quickFind(item));
+  window.location.assign(`/lightning/setup/ObjectManager/${encodeURIComponent(item.obj.objectApiName)}/${action.path}`);
+}
+
+// Apply the Quick Find query left by a palette field result once the Fields & Relationships rows are loaded.
+function applyPendingQuickFind(input) {
+  const query = sessionStorage.getItem(PENDING_QUICK_FIND_KEY);
+  if (!query || !window.location.pathname.includes("FieldsAndRelationships")) return;
+  sessionStorage.removeItem(PENDING_QUICK_FIND_KEY);
+  input.value = query;
+  onQuickFindInput({ target: input });
+}
+
+// Search box over every object (and indexed field). Up/Down pick a result, Tab cycles its actions,
+// Enter runs the highlighted action and Escape closes the palette.
+function showCommandPalette() {
+  if (document.getElementById("commandPalette")) return;
+  const overlay = document.createElement("div");
+  overlay.id = "commandPalette";
+  overlay.style.cssText =
+    "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.3); display: flex; justify-content: center; align-items: flex-start; z-index: 10002;";
+  const box = document.createElement("div");
+  box.style.cssText =
+    "margin-top: 12vh; width: 600px; max-height: 70vh; display: flex; flex-direction: column; background: white; border-radius: 5px; box-shadow: 0 4px 16px rgba(0,0,0,0.4); font-size: 13px;";
+  const input = document.createElement("input");
+  input.type = "text";
+  input.placeholder = "Jump to an object or field...";
+  input.style.cssText = "padding: 10px; font-size: 16px; border: none; border-bottom: 1px solid #ddd; outline: none;";
+  const list = document.createElement("div");
+  list.style.cssText = "overflow-y: auto;";
+  const status = document.createElement("div");
+  status.style.cssText = "padding: 8px 10px; color: #555;";
+  box.appendChild(input);
+  box.appendChild(list);
+  box.appendChild(status);
+  overlay.appendChild(box);
+
+  let results = [];
+  let selected = 0;
+  let actionIndex = 0;
+  const close = () => overlay.remove();
+
+  const render = () => {
+    list.innerHTML = "";
+    results.forEach((item, index) => {
+      const row = document.createElement("div");
+      row.style.cssText = `display: flex; align-items: center; padding: 6px 10px; cursor: pointer; ${index === selected ? "background: #e8f1fb;" : ""}`;
+      const text = document.createElement("div");
+      text.style.cssText = "flex: 1; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;";
+      const title = document.createElement("strong");
+      title.textContent = item.title;
+      const subtitle = document.createElement("span");
+      subtitle.textContent = ` ${item.subtitle}`;
+      subtitle.style.color = "#706e6b";
+      text.appendChild(title);
+      text.appendChild(subtitle);
+      row.appendChild(text);
+      item.actions.forEach((action, i) => {
+        const chip = document.createElement("span");
+        chip.textContent = action.label;
+        const highlighted = index === selected && i === actionIndex;
+        chip.style.cssText =
+          `margin-left: 5px; padding: 2px 6px; border-radius: 4px; white-space: nowrap; font-size: 12px; ${highlighted ? `background: ${getButtonColor()}; color: white;` : "border: 1px solid #ddd; color: #555;"}`;
+        chip.addEventListener("click", event => {
+          event.stopPropagation();
+          close();
+          runPaletteAction(item, action);
+        });
+        row.appendChild(chip);
       });
-    });
-    container.appendChild(searchInput);
-    
-    // List objects with checkboxes
-    objects.forEach(obj => {
-      const label = document.createElement("label");
-      label.style.display = "block";
-      label.style.marginBottom = "5px";
-      const checkbox = document.createElement("input");
-      checkbox.type = "checkbox";
-      checkbox.value = obj.objectApiName;
-      checkbox.checked = false;
-      label.appendChild(checkbox);
-      label.appendChild(document.createTextNode(" " + obj.objectLabel));
-      container.appendChild(label);
-    });
-    
-    // Bottom Export Selected
-    const bottomExportBtn = document.createElement("button");
-    bottomExportBtn.innerText = "Export Selected";
-    bottomExportBtn.style.cssText =
-      "margin-top: 10px; padding: 5px 10px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer; width: 100%;";
-    bottomExportBtn.addEventListener("click", async () => {
-      const selectedCheckboxes = container.querySelectorAll("label > input[type='checkbox']:checked");
-      const selectedObjects = [];
-      selectedCheckboxes.forEach(cb => {
-        const apiName = cb.value;
-        const correspondingObj = objects.find(o => o.objectApiName === apiName);
-        if (correspondingObj) {
-          selectedObjects.push(correspondingObj);
-        }
+      row.addEventListener("click", () => {
+        close();
+        runPaletteAction(item, item.actions[0]);
       });
-      document.body.removeChild(modal);
-      await exportSelectedObjectsToXLSX(selectedObjects);
+      list.appendChild(row);
     });
-    container.appendChild(bottomExportBtn);
-    
-    modal.appendChild(container);
-    hideSpinner(); // Hide spinner once modal is ready
-    document.body.appendChild(modal);
-  } catch (error) {
-    console.error("Error showing export selection modal:", error);
-    hideSpinner();
+    const selectedRow = list.children[selected];
+    if (selectedRow) selectedRow.scrollIntoView({ block: "nearest" });
+  };
+
+  const search = () => {
+    const query = input.value.trim();
+    if (!paletteItems) {
+      status.textContent = "Loading objects...";
+      return;
+    }
+    results = paletteItems
+      .map(item => ({ item, score: query ? fuzzyScore(query, item.text) : 0 }))
+      .filter(result => result.score >= 0)
+      // Objects come before fields when nothing is typed.
+      .sort((a, b) => b.score - a.score)
+      .slice(0, PALETTE_MAX_RESULTS)
+      .map(result => result.item);
+    selected = 0;
+    actionIndex = 0;
+    status.textContent = results.length ? "↑↓ select · Tab action · Enter open · Esc close" : "No matches.";
+    render();
+  };
+
+  input.addEventListener("input", search);
+  input.addEventListener("keydown", event => {
+    const item = results[selected];
+    if (event.key === "Escape") {
+      close();
+    } else if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      if (!results.length) return;
+      selected = (selected + (event.key === "ArrowDown" ? 1 : results.length - 1)) % results.length;
+      actionIndex = 0;
+      render();
+    } else if (event.key === "Tab" && item) {
+      event.preventDefault();
+      actionIndex = (actionIndex + (event.shiftKey ? item.actions.length - 1 : 1)) % item.actions.length;
+      render();
+    } else if (event.key === "Enter" && item) {
+      close();
+      runPaletteAction(item, item.actions[actionIndex]);
+    }
+  });
+  overlay.addEventListener("click", event => {
+    if (event.target === overlay) close();
+  });
+
+  document.body.appendChild(overlay);
+  input.focus();
+  search();
+  if (!paletteItems) {
+    loadPaletteItems()
+      .then(items => {
+        paletteItems = items;
+        if (overlay.isConnected) search();
+      })
+      .catch(error => console.error("Error loading command palette items:", error));
   }
 }
 
@@ -682,36 +3674,45 @@ async function showExportSelectionModal() {
 
 async function initPicklistProcessing() {
   if (!window.location.pathname.includes("/lightning/setup/")) return;
+  await loadSettings();
   
   if (isObjectManagerHomePage()) {
     (async () => {
       try {
-        const tableBody = await waitForElement("table tbody");
-        const scrollable = findScrollableParent(tableBody);
-        if (scrollable) {
-          await autoScrollAndWait(scrollable);
-          console.log("Auto scrolling finished for home page.");
-        }
         const container = await waitForElement(".objectManagerGlobalSearchBox, div[role='search']");
         container.style.display = "flex";
         container.style.alignItems = "center";
         container.style.justifyContent = "flex-end";
-        let input = container.querySelector("input[type='search']");
-        if (input) {
-          setupCustomQuickFind(input);
-        }
-        if (!document.getElementById("exportSelectionButton")) {
+        if (isFeatureEnabled("exportButtons") && !document.getElementById("exportSelectionButton")) {
           const selectionButton = document.createElement("button");
           selectionButton.id = "exportSelectionButton";
           selectionButton.textContent = "Select Objects to Export";
           selectionButton.style.cssText =
-            "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;";
+            `background-color: ${getButtonColor()}; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;`;
+          selectionButton.dataset.buttonColor = "true";
           // Wrap the call in an async function to show spinner while modal loads.
           selectionButton.addEventListener("click", async () => {
             await showExportSelectionModal();
           });
           container.appendChild(selectionButton);
         }
+        if (isFeatureEnabled("snapshots")) addSnapshotsButton(container);
+        if (isFeatureEnabled("clearCache")) addClearCacheButton(container);
+        if (isFeatureEnabled("fieldSearch")) {
+          createFieldSearchPanel(container);
+          loadFieldSearchIndex().catch(error => console.error("Error loading field index:", error));
+        }
+        // The buttons work from the object list API; only Quick Find needs every row loaded first.
+        const tableBody = await waitForElement("table tbody");
+        const scrollable = isFeatureEnabled("autoScroll") && findScrollableParent(tableBody);
+        if (scrollable) {
+          await autoScrollAndWait(scrollable);
+          console.log("Auto scrolling finished for home page.");
+        }
+        let input = container.querySelector("input[type='search']");
+        if (input) {
+          setupCustomQuickFind(input);
+        }
         console.log("Home page initialization complete.");
       } catch (error) {
         console.error("Error during home page initialization:", error);
@@ -720,7 +3721,8 @@ async function initPicklistProcessing() {
     return;
   }
   
-  removeSetupHomeModules();
+  if (isFeatureEnabled("setupHomeCleanup")) removeSetupHomeModules();
+  closeEnhancedFieldTable();
   (async () => {
     const objectName = await getObjectApiNameFromURL();
     if (objectName && lastObjectName && lastObjectName !== objectName) {
@@ -738,15 +3740,16 @@ async function initPicklistProcessing() {
     }
     try {
       const tableBody = await waitForElement("table tbody");
-      const scrollable = findScrollableParent(tableBody);
-      if (scrollable) {
-        await autoScrollAndWait(scrollable);
-        console.log("Auto scrolling finished on detail page.");
+      const enhancedByDefault = isEnhancedViewDefault();
+      if (enhancedByDefault) {
+        delete tableBody.dataset.rowsLoaded;
+      } else {
+        await loadFieldTableRows(tableBody);
       }
       
       if (originalQuickFind) {
         setupCustomQuickFind(originalQuickFind);
-      } else if (window.location.pathname.includes("FieldsAndRelationships")) {
+      } else if (isFeatureEnabled("exportButtons") && window.location.pathname.includes("FieldsAndRelationships")) {
         if (!document.getElementById("exportDetailXLSXButton")) {
           const fallbackContainer = document.querySelector(".objectManagerGlobalSearchBox, div[role='search']") 
                                 || document.querySelector(".setupHeader, .header") 
@@ -755,21 +3758,24 @@ async function initPicklistProcessing() {
           exportButton.id = "exportDetailXLSXButton";
           exportButton.textContent = "Export XLSX";
           exportButton.style.cssText =
-            "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;";
-          exportButton.addEventListener("click", exportCurrentObjectFieldsToXLSX);
+            `background-color: ${getButtonColor()}; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;`;
+          exportButton.dataset.buttonColor = "true";
+          exportButton.addEventListener("click", openCurrentObjectExport);
           fallbackContainer.appendChild(exportButton);
         }
       }
       
-      processPicklistRows();
-      
-      const observer = new MutationObserver(mutations => {
-        if (mutations.some(m => m.addedNodes.length)) {
-          processPicklistRows();
+      if (enhancedByDefault) {
+        const enhancedViewButton = document.getElementById("enhancedViewButton");
+        if (enhancedViewButton) await toggleEnhancedFieldTable(enhancedViewButton);
+        if (enhancedFieldTable) {
+          console.log("Detail page initialization complete.");
+          return;
         }
-      });
-      observer.observe(tableBody, { childList: true });
-      
+        // The enhanced view could not be opened; fall back to Salesforce's table.
+        await loadFieldTableRows(tableBody);
+      }
+      startPicklistRowProcessing(tableBody);
       console.log("Detail page initialization complete.");
     } catch (error) {
       console.error("Error during detail page initialization:", error);
@@ -779,17 +3785,53 @@ async function initPicklistProcessing() {
 
 let lastObjectName = null;
 
+// Auto-scroll Salesforce's lazy-loading table until every row is loaded.
+async function loadFieldTableRows(tableBody) {
+  tableBody.dataset.rowsLoaded = "true";
+  const scrollable = isFeatureEnabled("autoScroll") && findScrollableParent(tableBody);
+  if (scrollable) {
+    await autoScrollAndWait(scrollable);
+    console.log("Auto scrolling finished on detail page.");
+  }
+}
+
+// Add picklist values and row actions to the loaded rows and to rows loaded later.
+function startPicklistRowProcessing(tableBody) {
+  if (!isFeatureEnabled("picklistValues")) return;
+  processPicklistRows();
+
+  // Ignore rows re-appended by the Quick Find ranking; only newly loaded rows need processing.
+  const observer = new MutationObserver(mutations => {
+    if (mutations.some(m => Array.from(m.addedNodes).some(n => n.dataset && n.dataset.picklistFetched !== "true"))) {
+      processPicklistRows();
+    }
+  });
+  observer.observe(tableBody, { childList: true });
+}
+
+// Highlights, chips and the counter belong to the page the query was typed on.
+function resetQuickFindDecorations() {
+  clearQuickFindDecorations();
+  updateQuickFindCounter(null);
+}
+
 window.addEventListener("location-changed", () => {
   console.log("location-changed event detected.");
   lastObjectName = null;
-  setTimeout(initPicklistProcessing, 500);
+  resetQuickFindDecorations();
+  setTimeout(initPicklistProcessing, extensionSettings.reinitDelayMs ?? 500);
 });
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "location-changed") {
     console.log("Received location-changed from background.");
     lastObjectName = null;
-    setTimeout(initPicklistProcessing, 500);
+    resetQuickFindDecorations();
+    setTimeout(initPicklistProcessing, extensionSettings.reinitDelayMs ?? 500);
+  }
+  // Sent by the background worker for the keyboard shortcut in manifest.json "commands".
+  if (message.type === "openCommandPalette" && isFeatureEnabled("commandPalette")) {
+    showCommandPalette();
   }
 });
 
@@ -0,0 +1,35 @@
+/**
+* @File Name : exportColumns.js
+* @Description : Keys and headers of the field export columns, shared by content.js and the options page.
+* @Author :
+* @Last Modified By :
+* @Last Modified On :
+* @Modification Log :
+*==============================================================================
+* Ver | Date         | Author    | Modification
+*==============================================================================
+* 1.0 | October 19,2026 |           | Initial Version: moved out of content.js and options.js
+**/
+
+// Every column the field exports can contain, in their default order. content.js adds how each one is filled.
+const EXPORT_COLUMN_DEFINITIONS = [
+  { key: "label", header: "Field Label" },
+  { key: "apiName", header: "API Name" },
+  { key: "type", header: "Field Type" },
+  { key: "length", header: "Field Length" },
+  { key: "picklistValues", header: "Picklist Values" },
+  { key: "required", header: "Required" },
+  { key: "unique", header: "Unique" },
+  { key: "externalId", header: "External ID" },
+  { key: "defaultValue", header: "Default Value" },
+  { key: "helpText", header: "Help Text" },
+  { key: "formula", header: "Formula" },
+  { key: "referenceTo", header: "Reference To" },
+  { key: "relationshipName", header: "Relationship Name" },
+  { key: "cascadeDelete", header: "Cascade Delete" },
+  { key: "encrypted", header: "Encrypted" },
+  { key: "createable", header: "Createable" },
+  { key: "updateable", header: "Updateable" },
+  { key: "referencedBy", header: "Referenced By" },
+  { key: "fillRate", header: "% Populated" }
+];
@@ -0,0 +1,177 @@
+/**
+* @File Name : options.js
+* @Description : Options page. Settings are stored in chrome.storage.sync under "settings" and read by background.js.
+* @Author :
+* @Last Modified By :
+* @Last Modified On :
+* @Modification Log :
+*==============================================================================
+* Ver | Date         | Author    | Modification
+*==============================================================================
+* 1.0 | October 19,2026 |           | Initial Version: API version pinning
+* 1.1 | October 19,2026 |           | Export columns and order, file name template, feature toggles, button colour, re-init delay
+**/
+
+// Export columns come from EXPORT_COLUMN_DEFINITIONS in exportColumns.js, loaded before this script.
+
+// Page enhancements checked with isFeatureEnabled in content.js.
+const FEATURES = [
+  { key: "quickFind", label: "Custom Quick Find (query syntax and ranking)" },
+  { key: "autoScroll", label: "Auto-scroll to load every row" },
+  { key: "picklistValues", label: "Picklist values and row actions on Fields & Relationships" },
+  { key: "exportButtons", label: "Export buttons" },
+  { key: "analyzeUsage", label: "Analyze Usage button" },
+  { key: "enhancedView", label: "Enhanced View button (sortable field table built from the describe)" },
+  { key: "snapshots", label: "Snapshots button" },
+  { key: "clearCache", label: "Clear Cache button" },
+  { key: "fieldSearch", label: "Org-wide field search on the Object Manager home page" },
+  { key: "setupHomeCleanup", label: "Remove Setup Home modules" },
+  { key: "commandPalette", label: "Command palette (Ctrl+Shift+K; change it at chrome://extensions/shortcuts)" }
+];
+
+let defaultSettings = {};
+
+// Checkbox rows in the saved column order, with buttons to move a column up or down.
+function renderExportColumns(settings) {
+  const list = document.getElementById("exportColumns");
+  list.innerHTML = "";
+  const order = settings.exportColumnOrder || [];
+  const position = column => (order.includes(column.key) ? order.indexOf(column.key) : order.length);
+  EXPORT_COLUMN_DEFINITIONS.slice()
+    .sort((a, b) => position(a) - position(b))
+    .forEach(column => {
+      const item = document.createElement("li");
+      item.dataset.key = column.key;
+      const label = document.createElement("label");
+      label.className = "check";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = (settings.exportColumns || []).includes(column.key);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(" " + column.header));
+      item.appendChild(label);
+      const up = document.createElement("button");
+      up.innerText = "↑";
+      up.title = "Move up";
+      up.addEventListener("click", () => item.previousElementSibling && list.insertBefore(item, item.previousElementSibling));
+      const down = document.createElement("button");
+      down.innerText = "↓";
+      down.title = "Move down";
+      down.addEventListener("click", () => item.nextElementSibling && list.insertBefore(item.nextElementSibling, item));
+      item.appendChild(up);
+      item.appendChild(down);
+      list.appendChild(item);
+    });
+}
+
+function renderFeatures(settings) {
+  const container = document.getElementById("features");
+  container.innerHTML = "";
+  FEATURES.forEach(feature => {
+    const label = document.createElement("label");
+    label.className = "check";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = feature.key;
+    checkbox.checked = !(settings.disabledFeatures || []).includes(feature.key);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(" " + feature.label));
+    container.appendChild(label);
+  });
+}
+
+function renderSettings(settings) {
+  document.getElementById("apiVersion").value = settings.apiVersion || "";
+  renderExportColumns(settings);
+  document.getElementById("fileNameTemplate").value = settings.fileNameTemplate;
+  renderFeatures(settings);
+  document.getElementById("enhancedViewDefault").checked = !!settings.enhancedViewDefault;
+  document.getElementById("buttonColor").value = settings.buttonColor;
+  document.getElementById("reinitDelayMs").value = settings.reinitDelayMs;
+}
+
+// Show the current settings and the versions detected for the orgs seen so far.
+async function loadOptions() {
+  const settingsResponse = await chrome.runtime.sendMessage({ type: "getSettings" });
+  if (!settingsResponse || !settingsResponse.success) return;
+  defaultSettings = settingsResponse.defaults;
+  renderSettings(settingsResponse.settings);
+
+  const response = await chrome.runtime.sendMessage({ type: "listApiVersions" });
+  if (!response || !response.success) return;
+  const versions = new Set();
+  response.orgs.forEach(org => org.versions.forEach(version => versions.add(version)));
+  const list = document.getElementById("apiVersionList");
+  Array.from(versions)
+    .sort((a, b) => parseFloat(b) - parseFloat(a))
+    .forEach(version => {
+      const option = document.createElement("option");
+      option.value = version;
+      list.appendChild(option);
+    });
+  if (response.orgs.length) {
+    document.getElementById("detectedVersions").innerText =
+      "Leave empty to use the latest version each org supports. Detected: " +
+      response.orgs.map(org => `${org.origin.replace(/^https:\/\//, "")} v${org.versions[org.versions.length - 1]}`).join(", ");
+  }
+}
+
+function showStatus(message, color = "#04844b") {
+  const status = document.getElementById("status");
+  status.style.color = color;
+  status.innerText = message;
+}
+
+async function saveOptions() {
+  const apiVersion = document.getElementById("apiVersion").value.trim().replace(/^v/i, "");
+  if (apiVersion && !/^\d+\.0$/.test(apiVersion)) {
+    showStatus("Enter a version such as 62.0, or leave it empty.", "#c23934");
+    return;
+  }
+  const fileNameTemplate = document.getElementById("fileNameTemplate").value.trim();
+  if (!fileNameTemplate) {
+    showStatus("Enter a file name template.", "#c23934");
+    return;
+  }
+  const reinitDelayMs = parseInt(document.getElementById("reinitDelayMs").value, 10);
+  if (isNaN(reinitDelayMs) || reinitDelayMs < 0) {
+    showStatus("Enter a delay of 0 ms or more.", "#c23934");
+    return;
+  }
+  const columnItems = Array.from(document.querySelectorAll("#exportColumns li"));
+  const exportColumns = columnItems.filter(item => item.querySelector("input").checked).map(item => item.dataset.key);
+  if (!exportColumns.length) {
+    showStatus("Select at least one export column.", "#c23934");
+    return;
+  }
+  const disabledFeatures = Array.from(document.querySelectorAll("#features input"))
+    .filter(checkbox => !checkbox.checked)
+    .map(checkbox => checkbox.value);
+
+  const stored = await chrome.storage.sync.get("settings");
+  await chrome.storage.sync.set({
+    settings: {
+      ...(stored.settings || {}),
+      apiVersion,
+      exportColumns,
+      exportColumnOrder: columnItems.map(item => item.dataset.key),
+      fileNameTemplate,
+      disabledFeatures,
+      enhancedViewDefault: document.getElementById("enhancedViewDefault").checked,
+      buttonColor: document.getElementById("buttonColor").value,
+      reinitDelayMs
+    }
+  });
+  showStatus("Saved.");
+  setTimeout(() => { showStatus(""); }, 2000);
+}
+
+// Puts the defaults in the form; they take effect once saved.
+function restoreDefaults() {
+  renderSettings(defaultSettings);
+  showStatus("Defaults restored. Save to apply them.");
+}
+
+document.getElementById("save").addEventListener("click", saveOptions);
+document.getElementById("restoreDefaults").addEventListener("click", restoreDefaults);
+loadOptions().catch(error => console.error("Error loading options:", error));